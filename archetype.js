@@ -38,6 +38,8 @@
  * const id2 = createFrom(world, ToughMonster, { x:1, y:1 });
  */
 
+import { remapEntityRefs } from './core.js';
+
 /**
  * @typedef {import('./core.js').World} World
  * @typedef {import('./core.js').Component} Component
@@ -107,7 +109,8 @@ export function compose(name, ...parts) {
 
 /**
  * Create a single entity and apply an archetype to it.
- * Uses world.batch if available to wrap structural changes.
+ * Runs inside world.transaction (falling back to world.batch) so a step that throws,
+ * e.g. on validation, leaves no half-built entity behind.
  *
  * @param {World} world
  * @param {Archetype} archetype
@@ -123,11 +126,12 @@ export function createFrom(world, archetype, params = {}) {
     _apply(world, id, archetype, params, null);
     return id;
   };
-  return world.batch ? world.batch(run) : run();
+  return _atomic(world, run);
 }
 
 /**
  * Create many entities from an archetype.
+ * All-or-nothing: if any entity fails to build, none are created.
  *
  * @param {World} world
  * @param {Archetype} archetype
@@ -145,7 +149,7 @@ export function createMany(world, archetype, count, paramsMaker) {
     }
     return out;
   };
-  return world.batch ? world.batch(run) : run();
+  return _atomic(world, run);
 }
 
 /**
@@ -181,32 +185,45 @@ export function withOverrides(archetype, overrides) {
 
 /**
  * Clone a source entity's components onto a new entity.
- * If comps is omitted, attempts to add all components present on sourceId.
+ * If comps is omitted, copies everything reported by world.componentsOf(sourceId).
  *
  * Notes:
- * - Component records are shallow-cloned by world.add; mutables inside are not deep-frozen.
- * - Uses world.batch if available.
+ * - Component records are deep-cloned by world.add, so the copy shares no mutable state. Components with
+ *   `serialize`/`deserialize` hooks are copied through them, as snapshots would.
+ * - Entity-typed schema fields pointing at the source point at the clone; `opts.idMap` adds further
+ *   old-to-new pairs (e.g. when cloning a group). Other references are kept, or cleared with `nullDangling`.
+ * - Runs inside world.transaction when available.
  *
  * @param {World} world
  * @param {number} sourceId
  * @param {Component[]|null} [comps]
+ * @param {{ idMap?: Map<number, number>, nullDangling?: boolean }} [opts]
  * @returns {number} The new entity id.
  */
-export function cloneFrom(world, sourceId, comps = null) {
-  const all = comps ?? _allComponentsOn(world, sourceId);
+export function cloneFrom(world, sourceId, comps = null, opts = {}) {
+  if (!world.isAlive(sourceId)) throw new Error('cloneFrom: source entity not alive');
+  const all = comps ?? world.componentsOf(sourceId);
   const run = () => {
     const id = world.create();
+    const mapRef = (ref) => (ref === sourceId ? id : opts.idMap?.get(ref));
     for (const Comp of all) {
       const src = world.get(sourceId, Comp);
-      if (src) world.add(id, Comp, src);
+      if (!src) continue;
+      const rec = Comp.serialize ? Comp.deserialize(Comp.serialize(src)) : src;
+      world.add(id, Comp, remapEntityRefs(Comp, rec, mapRef, opts));
     }
     return id;
   };
-  return world.batch ? world.batch(run) : run();
+  return _atomic(world, run);
 }
 
 /* internals */
 /** @private */
+function _atomic(world, run) {
+  if (typeof world.transaction === 'function') return world.transaction(run);
+  return world.batch ? world.batch(run) : run();
+}
+/** @private */
 function _isArchetype(x) { return !!(x && Array.isArray(x.steps)); }
 /** @private */
 function _norm(steps) {
@@ -241,15 +258,3 @@ function _apply(world, id, archetype, params, inheritedOverrides) {
 function _mergeOverrides(a, b) { if (!a && !b) return null; const m = new Map(); if (a) for (const [k, v] of a) m.set(k, v); if (b) for (const [k, v] of b) m.set(k, v); return m; }
 /** @private */
 function _overrideFor(map, Comp) { if (!map) return null; if (map.has(Comp.key)) return map.get(Comp.key); if (map.has(Comp.name)) return map.get(Comp.name); return null; }
-/** @private */
-function _allComponentsOn(world, id) {
-  const out = [];
-  const stores = world && world._store;
-  if (stores && typeof stores[Symbol.iterator] === 'function') {
-    for (const entry of stores) {
-      const store = Array.isArray(entry) ? entry[1] : entry;
-      try { if (store && typeof store.has === 'function' && store.has(id)) { if (store._comp) out.push(store._comp); } } catch {}
-    }
-  }
-  return out;
-}
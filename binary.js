@@ -0,0 +1,311 @@
+// ecs/binary.js
+// Compact binary encoding of snapshots.
+/**
+ * @module ecs/binary
+ * Encode {@link module:ecs/serialization~Snapshot} objects as a versioned ArrayBuffer and back, for save
+ * files and network keyframes. `decodeSnapshot(encodeSnapshot(s))` is structurally equal to `s`.
+ *
+ * Layout (little-endian; "varint" is unsigned LEB128, signed ints are zigzag varints):
+ * - magic 'ECSB', u8 format version, varint snapshot version
+ * - string table: varint count, then per string a varint byte length and UTF-8 bytes. Component,
+ *   field and object key names and string values are written as indices into it.
+ * - meta, schema, entities (allocator state) and resources as tagged values
+ * - alive ids: count, then zigzag deltas
+ * - per component: name, row count, entity ids as zigzag deltas, a layout byte, then either one column
+ *   per field in order of first appearance, or (when some record is not a plain field object, e.g. the
+ *   output of a `serialize` hook returning an array) one tagged value per row. A column has a kind
+ *   byte: int (zigzag varints), f64 (raw doubles), bool (bit-packed), string (table indices) or tagged
+ *   (one tagged value per row; also used when some rows lack the field).
+ *
+ * @example
+ * const buf = serializeWorldBinary(world)          // ArrayBuffer
+ * const copy = deserializeWorldBinary(buf, reg, { World })
+ */
+
+import { serializeWorld, deserializeWorld } from './serialization.js';
+
+/**
+ * @typedef {import('./core.js').World} World
+ * @typedef {import('./serialization.js').Snapshot} Snapshot
+ * @typedef {import('./serialization.js').Registry} Registry
+ */
+
+/** Current binary format version written by encodeSnapshot. */
+export const BINARY_VERSION = 1;
+
+const MAGIC = [0x45, 0x43, 0x53, 0x42]; // 'ECSB'
+
+// Tagged value types
+const T_UNDEFINED = 0, T_NULL = 1, T_FALSE = 2, T_TRUE = 3, T_INT = 4, T_F64 = 5, T_STRING = 6;
+const T_ARRAY = 7, T_OBJECT = 8, T_ABSENT = 9, T_INT_ARRAY = 10;
+// Column kinds
+const C_INT = 1, C_F64 = 2, C_BOOL = 3, C_STRING = 4, C_TAGGED = 5;
+// Component layouts
+const L_COLUMNS = 0, L_ROWS = 1;
+
+/** Encode a snapshot.
+ * @param {Snapshot} snap
+ * @returns {ArrayBuffer}
+ */
+export function encodeSnapshot(snap) {
+  if (!snap || typeof snap !== 'object' || !snap.comps) throw new Error('encodeSnapshot: invalid snapshot');
+  const strings = new Map();
+  const str = (s) => { let i = strings.get(s); if (i === undefined) strings.set(s, i = strings.size); return i; };
+  const body = _writer();
+  const value = (v) => _writeValue(body, v, str);
+
+  value(snap.meta);
+  value(snap.schema);
+  value(snap.entities);
+  value(snap.resources);
+  _writeIds(body, snap.alive ?? null);
+
+  const comps = Object.entries(snap.comps);
+  body.uvar(comps.length);
+  for (const [name, rows] of comps) {
+    body.uvar(str(name));
+    body.uvar(rows.length);
+    _writeIds(body, rows.map((r) => r[0]));
+    if (!rows.every((r) => _isFields(r[1]))) {
+      body.u8(L_ROWS);
+      for (const [, rec] of rows) value(rec);
+      continue;
+    }
+    body.u8(L_COLUMNS);
+    const fields = [];
+    const seen = new Set();
+    for (const [, rec] of rows) for (const k of Object.keys(rec || {})) if (!seen.has(k)) { seen.add(k); fields.push(k); }
+    body.uvar(fields.length);
+    for (const f of fields) {
+      const col = rows.map((r) => (r[1] && Object.prototype.hasOwnProperty.call(r[1], f) ? r[1][f] : ABSENT));
+      const kind = _columnKind(col);
+      body.uvar(str(f));
+      body.u8(kind);
+      if (kind === C_INT) for (const v of col) body.svar(v);
+      else if (kind === C_F64) for (const v of col) body.f64(v);
+      else if (kind === C_BOOL) for (let i = 0; i < col.length; i += 8) {
+        let bits = 0;
+        for (let j = 0; j < 8 && i + j < col.length; j++) if (col[i + j]) bits |= 1 << j;
+        body.u8(bits);
+      }
+      else if (kind === C_STRING) for (const v of col) body.uvar(str(v));
+      else for (const v of col) value(v);
+    }
+  }
+
+  const out = _writer();
+  for (const b of MAGIC) out.u8(b);
+  out.u8(BINARY_VERSION);
+  out.uvar(snap.v | 0);
+  out.uvar(strings.size);
+  const enc = new TextEncoder();
+  for (const s of strings.keys()) { const bytes = enc.encode(s); out.uvar(bytes.length); out.bytes(bytes); }
+  out.bytes(body.view());
+  return out.view().slice().buffer;
+}
+
+/** Decode a buffer written by encodeSnapshot.
+ * @param {ArrayBuffer|ArrayBufferView} buf
+ * @returns {Snapshot}
+ */
+export function decodeSnapshot(buf) {
+  const r = _reader(buf);
+  for (const b of MAGIC) if (r.u8() !== b) throw new Error('decodeSnapshot: not an ECSB buffer');
+  const version = r.u8();
+  if (version !== BINARY_VERSION) throw new Error(`decodeSnapshot: unsupported binary version ${version}`);
+  const v = r.uvar();
+  const dec = new TextDecoder();
+  const strings = new Array(r.uvar());
+  for (let i = 0; i < strings.length; i++) strings[i] = dec.decode(r.bytes(r.uvar()));
+  const str = (i) => { if (i >= strings.length) throw new Error('decodeSnapshot: bad string index'); return strings[i]; };
+  const value = () => _readValue(r, str);
+
+  const meta = value(), schema = value(), entities = value(), resources = value();
+  const alive = _readIds(r);
+  const comps = {};
+  for (let n = r.uvar(); n > 0; n--) {
+    const name = str(r.uvar());
+    const count = r.uvar();
+    const ids = _readIds(r);
+    const layout = r.u8();
+    if (layout === L_ROWS) { comps[name] = ids.map((id) => [id, value()]); continue; }
+    if (layout !== L_COLUMNS) throw new Error(`decodeSnapshot: unknown component layout ${layout}`);
+    const recs = Array.from({ length: count }, () => ({}));
+    for (let nf = r.uvar(); nf > 0; nf--) {
+      const f = str(r.uvar());
+      const kind = r.u8();
+      if (kind === C_INT) for (const rec of recs) rec[f] = r.svar();
+      else if (kind === C_F64) for (const rec of recs) rec[f] = r.f64();
+      else if (kind === C_BOOL) for (let i = 0; i < count; i += 8) {
+        const bits = r.u8();
+        for (let j = 0; j < 8 && i + j < count; j++) recs[i + j][f] = !!(bits & (1 << j));
+      }
+      else if (kind === C_STRING) for (const rec of recs) rec[f] = str(r.uvar());
+      else if (kind === C_TAGGED) for (const rec of recs) { const x = value(); if (x !== ABSENT) rec[f] = x; }
+      else throw new Error(`decodeSnapshot: unknown column kind ${kind}`);
+    }
+    comps[name] = recs.map((rec, i) => [ids[i], rec]);
+  }
+  if (!r.done()) throw new Error('decodeSnapshot: trailing bytes');
+
+  const snap = { v, meta };
+  if (schema !== undefined) snap.schema = schema;
+  snap.comps = comps;
+  if (alive) snap.alive = alive;
+  if (entities !== undefined) snap.entities = entities;
+  if (resources !== undefined) snap.resources = resources;
+  return snap;
+}
+
+/** serializeWorld straight to the binary format.
+ * @param {World} world
+ * @param {Parameters<typeof serializeWorld>[1]} [opts]
+ * @returns {ArrayBuffer}
+ */
+export function serializeWorldBinary(world, opts = {}) {
+  return encodeSnapshot(serializeWorld(world, opts));
+}
+
+/** deserializeWorld from a binary buffer.
+ * @param {ArrayBuffer|ArrayBufferView} buf
+ * @param {Registry} registry
+ * @param {Parameters<typeof deserializeWorld>[2]} [opts]
+ * @returns {World}
+ */
+export function deserializeWorldBinary(buf, registry, opts = {}) {
+  return deserializeWorld(decodeSnapshot(buf), registry, opts);
+}
+
+/* internals */
+const ABSENT = Symbol('absent'); // field missing from a record (tagged columns only)
+
+/** Plain object written field by field (not an array, primitive or tagged `{ $type, value }`). @private */
+const _isFields = (x) => x !== null && typeof x === 'object' && !Array.isArray(x) && !Object.prototype.hasOwnProperty.call(x, '$type');
+/** @private */
+const _isInt = (v) => typeof v === 'number' && (v | 0) === v && !Object.is(v, -0);
+/** Dense array of ints (`every` skips holes, so check each index). @private */
+function _isIntArray(v) {
+  for (let i = 0; i < v.length; i++) if (!(i in v) || !_isInt(v[i])) return false;
+  return true;
+}
+
+/** Narrowest column kind holding every value in the column losslessly. @private */
+function _columnKind(col) {
+  if (col.every(_isInt)) return C_INT;
+  if (col.every((v) => typeof v === 'number')) return C_F64;
+  if (col.every((v) => typeof v === 'boolean')) return C_BOOL;
+  if (col.every((v) => typeof v === 'string')) return C_STRING;
+  return C_TAGGED;
+}
+
+/** @private */
+function _writeValue(w, v, str) {
+  if (v === ABSENT) return w.u8(T_ABSENT);
+  if (v === undefined) return w.u8(T_UNDEFINED);
+  if (v === null) return w.u8(T_NULL);
+  if (typeof v === 'boolean') return w.u8(v ? T_TRUE : T_FALSE);
+  if (typeof v === 'number') {
+    if (_isInt(v)) { w.u8(T_INT); return w.svar(v); }
+    w.u8(T_F64); return w.f64(v);
+  }
+  if (typeof v === 'string') { w.u8(T_STRING); return w.uvar(str(v)); }
+  if (Array.isArray(v)) {
+    if (v.length > 1 && _isIntArray(v)) { w.u8(T_INT_ARRAY); w.uvar(v.length); for (const x of v) w.svar(x); return; }
+    // Holes are written as null, as JSON.stringify does
+    w.u8(T_ARRAY); w.uvar(v.length);
+    for (let i = 0; i < v.length; i++) _writeValue(w, i in v ? v[i] : null, str);
+    return;
+  }
+  if (typeof v === 'object') {
+    const keys = Object.keys(v).filter((k) => v[k] !== undefined && typeof v[k] !== 'function');
+    w.u8(T_OBJECT); w.uvar(keys.length);
+    for (const k of keys) { w.uvar(str(k)); _writeValue(w, v[k], str); }
+    return;
+  }
+  throw new Error(`encodeSnapshot: cannot encode ${typeof v}`);
+}
+
+/** @private */
+function _readValue(r, str) {
+  const tag = r.u8();
+  switch (tag) {
+    case T_UNDEFINED: return undefined;
+    case T_NULL: return null;
+    case T_FALSE: return false;
+    case T_TRUE: return true;
+    case T_INT: return r.svar();
+    case T_F64: return r.f64();
+    case T_STRING: return str(r.uvar());
+    case T_ABSENT: return ABSENT;
+    case T_INT_ARRAY: { const out = new Array(r.uvar()); for (let i = 0; i < out.length; i++) out[i] = r.svar(); return out; }
+    case T_ARRAY: { const out = new Array(r.uvar()); for (let i = 0; i < out.length; i++) out[i] = _readValue(r, str); return out; }
+    case T_OBJECT: {
+      const out = {};
+      for (let n = r.uvar(); n > 0; n--) { const k = str(r.uvar()); out[k] = _readValue(r, str); }
+      return out;
+    }
+    default: throw new Error(`decodeSnapshot: unknown value tag ${tag}`);
+  }
+}
+
+/** Id list (or null) as a count and zigzag deltas from the previous id. @private */
+function _writeIds(w, ids) {
+  if (!ids) return w.uvar(0);
+  w.uvar(ids.length + 1);
+  let prev = 0;
+  for (const id of ids) { w.svar(id - prev); prev = id; }
+}
+/** @private */
+function _readIds(r) {
+  const n = r.uvar();
+  if (!n) return null;
+  const out = new Array(n - 1);
+  let prev = 0;
+  for (let i = 0; i < out.length; i++) out[i] = prev += r.svar();
+  return out;
+}
+
+/** Growable byte buffer. @private */
+function _writer() {
+  let buf = new Uint8Array(256), pos = 0;
+  let dv = new DataView(buf.buffer);
+  const room = (n) => {
+    if (pos + n <= buf.length) return;
+    let size = buf.length * 2;
+    while (size < pos + n) size *= 2;
+    const next = new Uint8Array(size);
+    next.set(buf.subarray(0, pos));
+    buf = next; dv = new DataView(buf.buffer);
+  };
+  return {
+    u8(b) { room(1); buf[pos++] = b; },
+    uvar(n) { room(5); n >>>= 0; while (n > 0x7f) { buf[pos++] = (n & 0x7f) | 0x80; n >>>= 7; } buf[pos++] = n; },
+    svar(n) { this.uvar((n << 1) ^ (n >> 31)); },
+    f64(x) { room(8); dv.setFloat64(pos, x, true); pos += 8; },
+    bytes(b) { room(b.length); buf.set(b, pos); pos += b.length; },
+    view() { return buf.subarray(0, pos); }
+  };
+}
+
+/** Bounds-checked reader over a buffer. @private */
+function _reader(src) {
+  const buf = src instanceof ArrayBuffer ? new Uint8Array(src)
+    : ArrayBuffer.isView(src) ? new Uint8Array(src.buffer, src.byteOffset, src.byteLength)
+    : null;
+  if (!buf) throw new Error('decodeSnapshot: expected an ArrayBuffer or typed array');
+  const dv = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  let pos = 0;
+  const need = (n) => { if (pos + n > buf.length) throw new Error('decodeSnapshot: unexpected end of buffer'); };
+  return {
+    u8() { need(1); return buf[pos++]; },
+    uvar() {
+      let n = 0, shift = 0, b;
+      do { need(1); b = buf[pos++]; n += (b & 0x7f) * 2 ** shift; shift += 7; } while (b & 0x80 && shift < 35);
+      return n >>> 0;
+    },
+    svar() { const n = this.uvar(); return (n >>> 1) ^ -(n & 1); },
+    f64() { need(8); const x = dv.getFloat64(pos, true); pos += 8; return x; },
+    bytes(n) { need(n); const out = buf.subarray(pos, pos + n); pos += n; return out; },
+    done() { return pos === buf.length; }
+  };
+}
@@ -0,0 +1,223 @@
+// ecs/checksum.js
+// Deterministic world digests and desync diagnostics.
+/**
+ * @module ecs/checksum
+ * Stable 64-bit digests of world state and a first-divergence diff, for lockstep desync
+ * detection and regression checks on recorded seeds.
+ *
+ * State is walked in a canonical order (entities ascending, components/resources and record keys
+ * by name), so the digest does not depend on insertion or store order. It covers alive entities,
+ * component records, resources, step/time, the allocator and RNG state (world.rand and named streams).
+ * Records and resources are hashed in their snapshot encoding (serialization.js `encodeRecord`), so
+ * `hashWorld(world) === hashSnapshot(serializeWorld(world))`; other numbers are hashed by value with -0
+ * folded into 0.
+ */
+
+import { encodeRecord } from './serialization.js';
+
+/**
+ * @typedef {import('./core.js').World} World
+ * @typedef {import('./serialization.js').Snapshot} Snapshot
+ */
+
+/**
+ * @typedef {object} Divergence
+ * @property {'meta'|'entity'|'component'|'field'|'resource'} kind
+ * @property {number} [entity] - Entity id, for entity/component/field divergences.
+ * @property {string} [component] - Component or resource name.
+ * @property {string} [path] - Field path inside the record or meta, e.g. 'hp', 'tags[2]', 'rng.gen'.
+ * @property {any} a - Value in the first world (undefined when absent).
+ * @property {any} b - Value in the second world (undefined when absent).
+ */
+
+/** Digest of a live world as 16 hex chars.
+ * @param {World} world
+ * @param {{ exclude?: string[] }} [opts] - Component/resource names to leave out (e.g. client-only state).
+ * @returns {string}
+ */
+export function hashWorld(world, opts = {}) {
+  return _hashView(_viewOf(world, opts));
+}
+
+/** Digest of a snapshot; equals hashWorld of the world it was taken from.
+ * @param {Snapshot} snap
+ * @param {{ exclude?: string[] }} [opts]
+ * @returns {string}
+ */
+export function hashSnapshot(snap, opts = {}) {
+  return _hashView(_viewOf(snap, opts));
+}
+
+/** Compare two worlds (or snapshots, or one of each) and report the first divergence in canonical order:
+ * meta (step, time, RNG), then entity membership, then components and fields per entity, then resources,
+ * then allocator state.
+ * @param {World|Snapshot} a
+ * @param {World|Snapshot} b
+ * @param {{ exclude?: string[] }} [opts]
+ * @returns {Divergence|null} null when the states are identical.
+ */
+export function diffWorlds(a, b, opts = {}) {
+  const va = _viewOf(a, opts), vb = _viewOf(b, opts);
+
+  for (const key of META_KEYS) {
+    const d = _firstDiff(va.meta[key], vb.meta[key], key);
+    if (d) return { kind: 'meta', ...d };
+  }
+
+  const aliveB = new Set(vb.alive);
+  for (const id of va.alive) if (!aliveB.has(id)) return { kind: 'entity', entity: id, a: true, b: false };
+  const aliveA = new Set(va.alive);
+  for (const id of vb.alive) if (!aliveA.has(id)) return { kind: 'entity', entity: id, a: false, b: true };
+
+  for (const id of va.alive) {
+    const d = _diffNamed(va.rows(id), vb.rows(id));
+    if (d) return d.path === undefined ? { kind: 'component', entity: id, ...d } : { kind: 'field', entity: id, ...d };
+  }
+
+  const d = _diffNamed(va.resources, vb.resources);
+  if (d) return { kind: 'resource', ...d };
+
+  const e = _firstDiff(va.meta.entities, vb.meta.entities, 'entities');
+  return e ? { kind: 'meta', ...e } : null;
+}
+
+/* internals */
+const META_KEYS = ['step', 'time', 'rngAlgorithm', 'rng', 'streams'];
+
+/** Canonical read-only view over a world or a snapshot.
+ * @private
+ */
+function _viewOf(src, opts) {
+  const exclude = new Set(opts.exclude || []);
+  const keep = ([name]) => !exclude.has(name);
+  const byName = (x, y) => (x[0] < y[0] ? -1 : x[0] > y[0] ? 1 : 0);
+
+  if (src && src.comps && src.v !== undefined) {
+    const rows = new Map();
+    for (const [name, list] of Object.entries(src.comps)) {
+      if (exclude.has(name)) continue;
+      for (const [id, rec] of list) {
+        if (!rows.has(id)) rows.set(id, []);
+        rows.get(id).push([name, rec]);
+      }
+    }
+    const alive = (src.alive ? src.alive.slice() : Array.from(rows.keys())).sort((x, y) => x - y);
+    const m = src.meta || {};
+    return {
+      meta: {
+        step: m.step | 0, time: +m.time || 0, rngAlgorithm: m.rngAlgorithm || 'mulberry32',
+        rng: m.rng, streams: m.streams || {}, entities: src.entities
+      },
+      alive,
+      rows: (id) => (rows.get(id) || []).slice().sort(byName),
+      resources: Object.entries(src.resources || {}).filter(keep).sort(byName)
+    };
+  }
+
+  const world = src;
+  const streams = {};
+  for (const [label, r] of world._streams || []) streams[label] = r.getState();
+  return {
+    meta: {
+      step: world.step | 0, time: +world.time || 0, rngAlgorithm: world.rngAlgorithm || 'mulberry32',
+      rng: typeof world.rand?.getState === 'function' ? world.rand.getState() : undefined,
+      streams, entities: typeof world.allocatorState === 'function' ? world.allocatorState() : undefined
+    },
+    alive: Array.from(world.alive).sort((x, y) => x - y),
+    rows: (id) => world.entries(id).filter(([C]) => !exclude.has(C.name)).map(([C, rec]) => [C.name, encodeRecord(C, rec)]).sort(byName),
+    resources: (world.resources ? world.resources() : []).filter(([R]) => !exclude.has(R.name)).map(([R, rec]) => [R.name, encodeRecord(R, rec)]).sort(byName)
+  };
+}
+
+/** @private */
+function _hashView(v) {
+  const h = _hasher();
+  for (const key of META_KEYS) { h.str(key); h.value(v.meta[key]); }
+  h.value(v.meta.entities);
+  h.u32(v.alive.length);
+  for (const id of v.alive) {
+    const rows = v.rows(id);
+    h.u32(id); h.u32(rows.length);
+    for (const [name, rec] of rows) { h.str(name); h.value(rec); }
+  }
+  h.u32(v.resources.length);
+  for (const [name, rec] of v.resources) { h.str(name); h.value(rec); }
+  return h.digest();
+}
+
+/** Two-lane multiply/rotate hash over 32-bit words (cyrb53-style finalizer).
+ * @private
+ */
+function _hasher() {
+  let h1 = 0xDEADBEEF, h2 = 0x41C6CE57;
+  const f64 = new Float64Array(1), u32 = new Uint32Array(f64.buffer);
+  const api = {
+    u32(k) {
+      h1 = Math.imul(h1 ^ k, 2654435761); h1 = (h1 << 13) | (h1 >>> 19);
+      h2 = Math.imul(h2 ^ k, 1597334677); h2 = (h2 << 17) | (h2 >>> 15);
+    },
+    num(x) {
+      f64[0] = Number.isNaN(x) ? NaN : (x === 0 ? 0 : x);
+      api.u32(u32[0]); api.u32(u32[1]);
+    },
+    str(s) { api.u32(s.length); for (let i = 0; i < s.length; i++) api.u32(s.charCodeAt(i)); },
+    value(v) {
+      v = _plain(v);
+      if (v === undefined) return api.u32(1);
+      if (v === null) return api.u32(2);
+      if (typeof v === 'boolean') return api.u32(v ? 4 : 3);
+      if (typeof v === 'number') { api.u32(5); return api.num(v); }
+      if (typeof v === 'string') { api.u32(6); return api.str(v); }
+      if (typeof v === 'bigint') { api.u32(7); return api.str(v.toString()); }
+      if (Array.isArray(v) || ArrayBuffer.isView(v)) { api.u32(8); api.u32(v.length); for (const x of v) api.value(x); return; }
+      const keys = Object.keys(v).filter((k) => v[k] !== undefined).sort(); // as JSON would keep them
+      api.u32(9); api.u32(keys.length);
+      for (const k of keys) { api.str(k); api.value(v[k]); }
+    },
+    digest() {
+      let a = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+      let b = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(a ^ (a >>> 13), 3266489909);
+      a = Math.imul(a ^ (a >>> 16), 2246822507) ^ Math.imul(b ^ (b >>> 13), 3266489909);
+      return (b >>> 0).toString(16).padStart(8, '0') + (a >>> 0).toString(16).padStart(8, '0');
+    }
+  };
+  return api;
+}
+
+/** Records as plain values (SoA views serialize through toJSON). @private */
+function _plain(v) {
+  return (v && typeof v === 'object' && !Array.isArray(v) && typeof v.toJSON === 'function') ? v.toJSON() : v;
+}
+
+/** Diff two name-sorted [name, record] lists; path is undefined when a whole entry is missing. @private */
+function _diffNamed(xs, ys) {
+  let i = 0, j = 0;
+  while (i < xs.length || j < ys.length) {
+    const nx = xs[i]?.[0], ny = ys[j]?.[0];
+    if (ny === undefined || (nx !== undefined && nx < ny)) return { component: nx, a: xs[i][1], b: undefined };
+    if (nx === undefined || ny < nx) return { component: ny, a: undefined, b: ys[j][1] };
+    const d = _firstDiff(xs[i][1], ys[j][1], '');
+    if (d) return { component: nx, ...d };
+    i++; j++;
+  }
+  return null;
+}
+
+/** First differing leaf between two plain values, as { path, a, b }. @private */
+function _firstDiff(x, y, path) {
+  x = _plain(x); y = _plain(y);
+  const isObj = (v) => v !== null && typeof v === 'object';
+  if (!isObj(x) || !isObj(y)) return _sameLeaf(x, y) ? null : { path, a: x, b: y };
+  const arr = Array.isArray(x) || ArrayBuffer.isView(x);
+  if (arr !== (Array.isArray(y) || ArrayBuffer.isView(y))) return { path, a: x, b: y };
+  if (arr) {
+    const n = Math.max(x.length, y.length);
+    for (let i = 0; i < n; i++) { const d = _firstDiff(x[i], y[i], `${path}[${i}]`); if (d) return d; }
+    return null;
+  }
+  const keys = Array.from(new Set([...Object.keys(x), ...Object.keys(y)])).sort();
+  for (const k of keys) { const d = _firstDiff(x[k], y[k], path ? `${path}.${k}` : k); if (d) return d; }
+  return null;
+}
+/** @private */
+function _sameLeaf(x, y) { return x === y || (Number.isNaN(x) && Number.isNaN(y)); }
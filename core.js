@@ -7,29 +7,85 @@
  * Design goals:
  * - Deterministic and framework-agnostic
  * - Minimal, explicit APIs (no implicit phases)
- * - Efficient queries with cache invalidation upon structural changes
+ * - Efficient queries backed by incrementally maintained, sorted membership indices
  * - Two store modes: Map-of-records (default) and SoA (struct-of-arrays)
  */
 
-import { registerSystem } from './systems.js';
-import { mulberry32 } from './rng.js';
+import { SystemRegistry } from './systems.js';
+import { makeGenerator, createRng, deriveSeed } from './rng.js';
 
 /**
  * @typedef {object} Component
  * @property {symbol} key - Opaque unique identifier.
+ * @property {number} id - Stable numeric identity assigned at definition (cache/registry keys; names may repeat).
  * @property {string} name - Human-readable name.
  * @property {object} defaults - Default record shape for instances.
  * @property {(function(object):boolean)=} validate - Optional predicate for validation; returning false throws when adding/setting.
+ * @property {LifecycleHook=} onAdd - Called after a record is added to an entity.
+ * @property {LifecycleHook=} onRemove - Called after a record is removed (including by destroy) with its last value.
+ * @property {LifecycleHook=} onChange - Called after set/mutate, or when add replaces an existing record.
+ * @property {Record<string, FieldType>=} schema - Declared field types (typed SoA columns).
+ * @property {number} version - Record layout version (default 1); snapshots record it so migrations can upgrade old saves.
+ * @property {((rec:object)=>any)=} serialize - Converts a record to the data stored in snapshots (and used by cloneFrom).
+ * @property {((data:any)=>object)=} deserialize - Rebuilds a record from what `serialize` returned.
+ */
+
+/**
+ * @typedef {'f32'|'f64'|'i8'|'i16'|'i32'|'u8'|'u16'|'u32'|'bool'|'entity'|'entity[]'|'any'} FieldType
+ */
+
+/**
+ * @typedef {(id:number, rec:object, world:World)=>void} LifecycleHook
  */
 
 /**
  * @typedef {Component & { isTag?: true }} TagComponent
  */
 
-/** Deterministic RNG provided by rng.js (mulberry32). */
+/** Deterministic RNG provided by rng.js (mulberry32 unless `new World({ rng })` picks another algorithm). */
+
+/** Typed-array constructors per schema field type (SoA store columns). Other types use plain arrays. */
+const FIELD_ARRAYS = Object.freeze({
+  f32: Float32Array, f64: Float64Array,
+  i8: Int8Array, i16: Int16Array, i32: Int32Array,
+  u8: Uint8Array, u16: Uint16Array, u32: Uint32Array,
+  bool: Uint8Array, entity: Int32Array
+});
+/** Declarable schema field types; 'any' and 'entity[]' are stored as plain values. */
+const FIELD_TYPES = new Set([...Object.keys(FIELD_ARRAYS), 'any', 'entity[]']);
+const $PLAIN = Symbol('plain'); // SoA views: method returning a detached plain record
+const $SLOT = Symbol('slot');   // SoA views: slot index the view reads
+
+/** Numeric component ids, assigned in definition order. */
+let _componentSeq = 0;
+const _adhocIds = new Map(); // Comp.key -> id for hand-rolled component objects without an id
+
+/** Stable numeric identity of a component (assigned lazily for hand-rolled component objects).
+ * @param {Component} Comp
+ * @returns {number}
+ */
+export function componentId(Comp) {
+  if (typeof Comp.id === 'number') return Comp.id;
+  let id = _adhocIds.get(Comp.key);
+  if (id === undefined) _adhocIds.set(Comp.key, id = ++_componentSeq);
+  return id;
+}
+
+/** Entity handles pack a slot index (low bits) and a generation (high bits) into one positive int31. */
+const INDEX_BITS = 20;
+const INDEX_MASK = (1 << INDEX_BITS) - 1;
+const GEN_MASK = (1 << (31 - INDEX_BITS)) - 1;
+/** Slot index of an entity handle. @param {number} id @returns {number} */
+export const entityIndex = (id) => id & INDEX_MASK;
+/** Generation of an entity handle (bumped each time its slot is recycled). @param {number} id @returns {number} */
+export const entityGeneration = (id) => (id >>> INDEX_BITS) & GEN_MASK;
+/** Pack a slot index and generation into an entity handle. @param {number} index @param {number} gen @returns {number} */
+export const makeEntityId = (index, gen) => ((gen & GEN_MASK) << INDEX_BITS) | (index & INDEX_MASK);
 
 const $NOT = Symbol('Not');
 const $CHANGED = Symbol('Changed');
+const $ADDED = Symbol('Added');
+const $REMOVED = Symbol('Removed');
 /**
  * Negated component term for queries.
  * @param {Component} Comp
@@ -37,26 +93,67 @@ const $CHANGED = Symbol('Changed');
  */
 export const Not = (Comp) => ({ kind: $NOT, Comp });
 /**
- * Changed-in-last-tick component term for queries.
- * Matches entities whose given component was modified since the previous tick.
+ * Changed component term for queries.
+ * Inside a system run by a {@link module:ecs/systems~SystemRegistry}, matches entities whose component was
+ * added, modified or removed since that system last ran (on its first run, everything still marked);
+ * elsewhere, since the end of the previous tick.
  * @param {Component} Comp
  * @returns {{kind:symbol, Comp:Component}}
  */
 export const Changed = (Comp) => ({ kind: $CHANGED, Comp });
+/**
+ * Added component term for queries.
+ * Matches entities that gained the component (not plain set/mutate) within the same window as {@link Changed}.
+ * @param {Component} Comp
+ * @returns {{kind:symbol, Comp:Component}}
+ */
+export const Added = (Comp) => ({ kind: $ADDED, Comp });
+/**
+ * Removed component term for queries.
+ * Matches entities whose component was removed (or stripped by destroy) within the same window as {@link Changed},
+ * and yields the last-known record in the term's tuple position. Destroyed entities are included
+ * when the query has no positive component terms.
+ * @param {Component} Comp
+ * @returns {{kind:symbol, Comp:Component}}
+ */
+export const Removed = (Comp) => ({ kind: $REMOVED, Comp });
 
 /**
- * Define a structured component with defaults and optional validation.
+ * Define a structured component with defaults, optional validation and lifecycle hooks.
  * Instances added to entities start as deep clones of defaults merged with provided data.
+ * Hooks run before any {@link World#observe} observers of the same event.
+ * A `schema` declares field types; in `store: 'soa'` worlds numeric/bool/entity fields live in
+ * growable typed arrays (see {@link World#columns}). Schema fields missing from defaults default to 0/false/[].
  * @param {string} name
  * @param {object} defaults - Plain-object defaults (no functions). Nested arrays/objects are deep-cloned on add/set.
- * @param {{ validate?:(rec:object)=>boolean }} [options]
+ * Bump `version` whenever the record layout changes and register a migration (see serialization.js).
+ * `serialize`/`deserialize` (given together) convert records holding values snapshots cannot encode
+ * (class instances, handles); Map, Set, typed arrays, Date and non-finite numbers need no hooks. Records of
+ * hooked components are stored as given (fields copied, values by reference) rather than deep-cloned, and
+ * saveState/transactions copy them through the hooks.
+ * @param {{ validate?:(rec:object)=>boolean, onAdd?:LifecycleHook, onRemove?:LifecycleHook, onChange?:LifecycleHook, schema?:Record<string, FieldType>, version?:number, serialize?:(rec:object)=>any, deserialize?:(data:any)=>object }} [options]
  * @returns {Component}
  */
 export function defineComponent(name, defaults, options = {}) {
   const key = Symbol(name);
-  const shape = Object.freeze({ ...(defaults ?? {}) });
-  const validate = typeof options.validate === 'function' ? options.validate : undefined;
-  return Object.freeze({ key, name, defaults: shape, validate });
+  const id = ++_componentSeq;
+  const schema = options.schema ? Object.freeze({ ...options.schema }) : undefined;
+  const implied = {};
+  for (const [f, t] of Object.entries(schema || {})) {
+    if (!FIELD_TYPES.has(t)) throw new Error(`defineComponent: unknown field type '${t}' for ${name}.${f}`);
+    implied[f] = t === 'bool' ? false : t === 'entity[]' ? [] : t === 'any' ? null : 0;
+  }
+  const shape = Object.freeze({ ...implied, ...(defaults ?? {}) });
+  const fnOrUndef = (f) => typeof f === 'function' ? f : undefined;
+  const validate = fnOrUndef(options.validate);
+  const version = options.version ?? 1;
+  if (!Number.isInteger(version) || version < 1) throw new Error(`defineComponent: version must be a positive integer for ${name}`);
+  const serialize = fnOrUndef(options.serialize), deserialize = fnOrUndef(options.deserialize);
+  if (!serialize !== !deserialize) throw new Error(`defineComponent: serialize and deserialize must be given together for ${name}`);
+  return Object.freeze({
+    key, id, name, defaults: shape, validate, schema, version, serialize, deserialize,
+    onAdd: fnOrUndef(options.onAdd), onRemove: fnOrUndef(options.onRemove), onChange: fnOrUndef(options.onChange)
+  });
 }
 
 /**
@@ -69,40 +166,107 @@ export function defineTag(name) {
   return Object.freeze({ ...C, isTag: true });
 }
 
+/**
+ * Copy of a record with its schema 'entity' and 'entity[]' fields passed through `mapId`, used when
+ * entities are loaded or cloned under new ids. 0 and null (no entity) are left alone. An id that
+ * `mapId` returns undefined for is dangling: it is kept verbatim, or with `nullDangling` replaced by 0
+ * ('entity') or removed ('entity[]'). Records of components without entity fields are returned as-is.
+ * @param {Component} Comp
+ * @param {object} rec
+ * @param {(id:number)=>number|undefined} mapId
+ * @param {{ nullDangling?:boolean }} [opts]
+ * @returns {object}
+ */
+export function remapEntityRefs(Comp, rec, mapId, opts = {}) {
+  const fields = _entityFields(Comp);
+  if (!fields.length || !rec || typeof rec !== 'object') return rec;
+  const out = typeof rec[$PLAIN] === 'function' ? rec[$PLAIN]() : { ...rec };
+  const map = (ref) => {
+    if (!ref) return ref;
+    const next = mapId(ref);
+    return next != null ? next : opts.nullDangling ? 0 : ref;
+  };
+  for (const [f, type] of fields) {
+    if (type === 'entity') { if (out[f]) out[f] = map(out[f]); }
+    else if (Array.isArray(out[f])) out[f] = out[f].map(map).filter((ref) => ref !== 0);
+  }
+  return out;
+}
+const _entityFieldCache = new WeakMap(); // Comp -> Array<[field, 'entity'|'entity[]']>
+/** @private */
+function _entityFields(Comp) {
+  let fields = _entityFieldCache.get(Comp);
+  if (!fields) {
+    fields = Object.entries(Comp.schema || {}).filter(([, t]) => t === 'entity' || t === 'entity[]');
+    _entityFieldCache.set(Comp, fields);
+  }
+  return fields;
+}
+
 /**
  * ECS World containing entities, component stores, and query engine.
  *
  * Contract:
  * - Entity ids are positive integers; 0 is reserved as a "null" sentinel.
+ * - Ids are generational handles: a recycled slot gets a new generation, so a cached id of a
+ *   destroyed entity never aliases the entity that reuses its slot (isAlive/get/has reject it).
  * - Structural mutations (create/destroy/add/remove) are deferred if performed inside a tick
  *   unless strict mode throws. Mutations via set/mutate mark components changed.
- * - Query caching: a positive set of entity ids per unique component set is cached and
- *   invalidated on any structural change.
+ * - Resources (setResource/resource) are world-global singleton records keyed by a component
+ *   definition; they live outside any entity and carry their own change stamp.
+ * - Query caching: the sorted id list per unique component set (positive and Not terms) is kept
+ *   as a persistent index and updated incrementally on add/remove/create/destroy. Indices held by
+ *   defined queries live until {@link Query#dispose}; ad-hoc ones (world.query) are evicted least
+ *   recently used beyond `queryCacheSize` (default 64).
  */
 export class World {
   constructor(opts = {}) {
-    // scheduler
+    // scheduler / systems (per-world registry unless one is shared explicitly)
     this.scheduler = null;
+    this.systems = opts.systems || new SystemRegistry();
 
     // hooks
     this.onTick = opts.onTick || null;
 
     // rng
     this.seed = (opts.seed ?? (Math.random() * 2 ** 32) | 0) >>> 0;
-    this.rand = mulberry32(this.seed);
+    this.rngAlgorithm = opts.rng || 'mulberry32'; // key of GENERATORS in rng.js
+    this.rand = makeGenerator(this.rngAlgorithm, this.seed);
+    this._streams = new Map(); // Map<label, Rng> named streams derived from the seed
+    this._parkedStreams = new Map(); // streams reset by a restore that predates them (reused by rng(label))
 
     // stores / caches
     this.storeMode = opts.store || 'map';
     this._store = new Map();    // Map<Comp.key, store>
-    this._cache = new Map();    // query positive set cache
-    this._changed = new Map();  // Map<Comp.key, Set<id>>
+    this._names = new Map();    // Map<name, Comp> for duplicate-name detection
+    this._queries = new Map();  // Map<cacheKey, QueryIndex> persistent query memberships
+    this._queriesByComp = new Map(); // Map<Comp.key, Set<QueryIndex>> indices mentioning a component
+    this._queriesAll = new Set();    // indices without positive terms (track create/destroy)
+    this.queryCacheSize = opts.queryCacheSize ?? 64; // ad-hoc indices kept (not held by a defined query)
+    this._batchDepth = 0;
+    this._dirty = new Map();    // Map<Comp.key|null, Set<id>> index updates deferred by batch()
+    this._txn = null;           // active transaction journal
+    this._res = new Map();      // Map<Res.key, { comp, rec, tick }> world-global resources
+
+    // change detection: marks are stamped with a monotonic change tick and compared against a
+    // window floor (_since) — the system's last run inside a system, else the end of the previous tick
+    this._changed = new Map();  // Map<Comp.key, Map<id, changeTick>>
+    this._added = new Map();    // Map<Comp.key, Map<id, changeTick>>
+    this._removed = new Map();  // Map<Comp.key, Map<id, { tick, rec }>>
+    this._changeTick = 1;
+    this._lastTickEnd = 0;
+    this._since = 0;
+    this._systemRuns = new Map(); // Map<SystemFn, { tick, step }> last run per system
+    this.removedRetention = opts.removedRetention ?? 64; // ticks a skipped system can still see Removed marks
+    this._obs = new Map();      // Map<Comp.key, { add:Set, remove:Set, change:Set }>
 
     // command queue for deferred structural mutations
     this._cmd = [];
 
-    // entity bookkeeping
+    // entity bookkeeping (_free and _nextId hold slot indices; _gen the generation per slot)
     this._free = [];
     this._nextId = 1;
+    this._gen = [];
     this.alive = new Set();
 
     // flags & timing
@@ -123,19 +287,50 @@ export class World {
     return this;
   }
 
-  /** System registration pass-through (core does not know phase semantics).
+  /** Named RNG stream derived from the world seed and a label, created on first use.
+   * Streams are independent of world.rand and of each other, so extra draws in one system
+   * never shift another's sequence. Their states are saved in snapshots.
+   * @param {string} label
+   * @returns {ReturnType<typeof createRng>}
+   */
+  rng(label) {
+    const key = String(label);
+    let r = this._streams.get(key);
+    if (!r) {
+      r = this._parkedStreams.get(key) || createRng(deriveSeed(this.seed, key), this.rngAlgorithm);
+      this._parkedStreams.delete(key);
+      this._streams.set(key, r);
+    }
+    return r;
+  }
+  /** Restore named stream states exactly. Streams missing from `saved` did not exist at save time: they are
+   * rewound to their fresh state and parked, so rng(label) hands the same object out again later.
+   * @param {Iterable<[string, any]>} saved - [label, state] pairs.
+   */
+  _restoreStreams(saved) {
+    const states = new Map(saved);
+    for (const [label, r] of Array.from(this._streams)) {
+      if (states.has(label)) continue;
+      r.setState(createRng(deriveSeed(this.seed, label), this.rngAlgorithm).getState());
+      this._streams.delete(label);
+      this._parkedStreams.set(label, r);
+    }
+    for (const [label, st] of states) this.rng(label).setState(st);
+  }
+
+  /** Register a system in this world's registry (core does not know phase semantics).
    * @param {(world:World, dt:number)=>void} fn
    * @param {string} [phase='default']
    * @param {{ before?:Function[], after?:Function[] }} [opts]
    * @returns {this}
    */
   system(fn, phase = 'default', opts = {}) {
-    try { registerSystem(fn, phase, opts); } catch (e) { console.warn('[ecs] system registration failed', e); }
+    try { this.systems.register(fn, phase, opts); } catch (e) { console.warn('[ecs] system registration failed', e); }
     return this;
   }
 
   /** Advance the world by a discrete dt using the installed scheduler.
-   * Flushes deferred operations and clears change marks at the end of the tick.
+   * Flushes deferred operations and closes the default change window at the end of the tick.
    * @param {number} dt
    */
   tick(dt) {
@@ -160,8 +355,9 @@ export class World {
       if (cmds.length > limit) this._cmd.push(...cmds.slice(limit));
     }
 
-    // Clear change marks
-    this._changed.clear();
+    // Close the change window; per-system windows keep their own floor
+    this._lastTickEnd = this._since = this._changeTick++;
+    this._pruneRemoved();
     this._inTick = false;
 
     const took = (typeof performance !== 'undefined' ? performance.now() : Date.now()) - t0;
@@ -173,8 +369,13 @@ export class World {
    * @returns {number}
    */
   create() {
-    const id = this._free.length ? this._free.pop() : this._nextId++;
+    const fromFree = this._free.length > 0;
+    const index = fromFree ? this._free.pop() : this._nextId++;
+    if (index > INDEX_MASK) throw new Error('create: entity index space exhausted');
+    const id = makeEntityId(index, this._gen[index] | 0);
     this.alive.add(id);
+    if (this._txn) this._txn.entities.push(['create', id, fromFree]);
+    this._reindex(id, null);
     return id;
   }
   /** Destroy an entity immediately or defer if inside a tick.
@@ -187,12 +388,21 @@ export class World {
       if (this.strict) throw new Error('destroy: structural mutation during tick (strict)');
       this.command(['destroy', id]); return null;
     }
-    for (const [k, store] of this._store) { if (store.delete(id)) this._markChanged(k, id); }
-    this.alive.delete(id); this._free.push(id);
-    this._invalidateCaches();
+    const taken = [];
+    for (const [k, store] of this._store) {
+      if (this._txn && store.has(id)) this._journal(k, id, store);
+      const rec = store.take(id);
+      if (rec !== undefined) taken.push([k, store.comp, rec]);
+    }
+    const index = entityIndex(id);
+    this.alive.delete(id); this._gen[index] = ((this._gen[index] | 0) + 1) & GEN_MASK; this._free.push(index);
+    if (this._txn) this._txn.entities.push(['destroy', id]);
+    for (const [k] of taken) this._reindex(id, k);
+    this._reindex(id, null);
+    for (const [k, Comp, rec] of taken) { this._markRemoved(k, id, rec, true); this._notify('remove', Comp, id, rec); }
     return true;
   }
-  /** Check if an entity id is currently alive.
+  /** Check if an entity id is currently alive. Stale handles (older generations) are not.
    * @param {number} id
    * @returns {boolean}
    */
@@ -200,19 +410,163 @@ export class World {
     return this.alive.has(id);
   }
 
+  /** Entity allocator state (next slot, free slots, non-zero generations), e.g. for snapshots.
+   * @returns {{ next:number, free:number[], gens:Array<[number, number]> }}
+   */
+  allocatorState() {
+    const gens = [];
+    for (let i = 0; i < this._gen.length; i++) if (this._gen[i]) gens.push([i, this._gen[i]]);
+    return { next: this._nextId, free: this._free.slice(), gens };
+  }
+  /** Restore allocator state and revive the given handles exactly (snapshot restore).
+   * The world must not have any live entities unless `merge` is set, in which case existing entities
+   * stay alive and only the given handles are added (delta application).
+   * @param {{ next:number, free:number[], gens:Array<[number, number]> }} state
+   * @param {Iterable<number>} [aliveIds]
+   * @param {{ merge?:boolean }} [opts]
+   * @returns {this}
+   */
+  restoreEntities(state, aliveIds = [], opts = {}) {
+    if (this.alive.size && !opts.merge) throw new Error('restoreEntities: world still has live entities');
+    this._nextId = Math.max(1, state.next | 0);
+    this._free = Array.from(state.free || [], i => i | 0);
+    this._gen = [];
+    for (const [i, g] of state.gens || []) this._gen[i | 0] = g & GEN_MASK;
+    const added = [];
+    for (const id of aliveIds) {
+      const index = entityIndex(id);
+      if (!index || index >= this._nextId || entityGeneration(id) !== (this._gen[index] | 0)) throw new Error(`restoreEntities: handle ${id} does not match allocator state`);
+      if (!this.alive.has(id)) { this.alive.add(id); added.push(id); }
+    }
+    if (opts.merge) for (const id of added) this._reindex(id, null);
+    else this._rebuildQueries();
+    return this;
+  }
+
+  /** ===== In-memory state ===== */
+  /** Capture the whole world state in memory for rollback/undo: stores (typed columns are copied
+   * directly), resources, the entity allocator, RNG streams, step/time and change-detection marks.
+   * Much cheaper than serializeWorld; the handle is opaque and can be restored any number of times.
+   * @returns {object} state handle for {@link World#restoreState}
+   */
+  saveState() {
+    if (this._inTick) throw new Error('saveState: cannot save during a tick');
+    const stores = new Map();
+    for (const [k, store] of this._store) stores.set(k, store.save());
+    return Object.freeze({
+      step: this.step, time: this.time,
+      rand: this.rand.getState(),
+      streams: Array.from(this._streams, ([label, r]) => [label, r.getState()]),
+      nextId: this._nextId, free: this._free.slice(), gen: this._gen.slice(), alive: Array.from(this.alive),
+      stores,
+      resources: Array.from(this._res, ([k, e]) => [k, { comp: e.comp, rec: _cloneRecord(e.comp, e.rec), tick: e.tick }]),
+      changed: _copyMarks(this._changed), added: _copyMarks(this._added), removed: _copyMarks(this._removed),
+      changeTick: this._changeTick, lastTickEnd: this._lastTickEnd, since: this._since,
+      systemRuns: new Map(this._systemRuns)
+    });
+  }
+  /** Restore a state captured by {@link World#saveState}. Query indices are rebuilt, change marks and
+   * per-system windows return to their saved values, and pending deferred ops are dropped.
+   * Lifecycle hooks do not fire, and records fetched before the restore are detached (fetch them again).
+   * Components first used after the save come back empty.
+   * @param {object} state
+   * @returns {this}
+   */
+  restoreState(state) {
+    if (this._inTick) throw new Error('restoreState: cannot restore during a tick');
+    if (this._txn) throw new Error('restoreState: cannot restore inside a transaction');
+    this.step = state.step; this.time = state.time;
+    this.rand.setState(state.rand);
+    this._restoreStreams(state.streams);
+    this._nextId = state.nextId; this._free = state.free.slice(); this._gen = state.gen.slice();
+    this.alive.clear();
+    for (const id of state.alive) this.alive.add(id);
+    for (const [k, store] of this._store) store.restore(state.stores.get(k) || null);
+    this._res.clear();
+    for (const [k, e] of state.resources) this._res.set(k, { comp: e.comp, rec: _cloneRecord(e.comp, e.rec), tick: e.tick });
+    this._changed = _copyMarks(state.changed); this._added = _copyMarks(state.added); this._removed = _copyMarks(state.removed);
+    this._changeTick = state.changeTick; this._lastTickEnd = state.lastTickEnd; this._since = state.since;
+    this._systemRuns = new Map(state.systemRuns);
+    this._cmd.length = 0;
+    this._dirty.clear();
+    this._rebuildQueries();
+    return this;
+  }
 
   /** ===== Components ===== */
   _mapFor(Comp) {
     const k = Comp.key;
     if (!this._store.has(k)) {
-      const store = (this.storeMode === 'soa') ? makeSoAStore(Comp) : makeMapStore();
+      const store = (this.storeMode === 'soa') ? makeSoAStore(Comp) : makeMapStore(Comp);
       this._store.set(k, store);
+      const prior = this._names.get(Comp.name);
+      if (prior && prior.key !== k) console.warn(`[ecs] duplicate component name '${Comp.name}' (ids ${componentId(prior)} and ${componentId(Comp)}); name-based lookups and snapshots are ambiguous`);
+      else this._names.set(Comp.name, Comp);
     }
     return this._store.get(k);
   }
-  _markChanged(ckey, id) {
-    if (!this._changed.has(ckey)) this._changed.set(ckey, new Set());
-    this._changed.get(ckey).add(id);
+  _stamp(marks, ckey, id) {
+    let m = marks.get(ckey);
+    if (!m) marks.set(ckey, m = new Map());
+    m.set(id, this._changeTick);
+  }
+  _markChanged(ckey, id) { this._stamp(this._changed, ckey, id); }
+  _markAdded(ckey, id) { this._stamp(this._changed, ckey, id); this._stamp(this._added, ckey, id); }
+  _markRemoved(ckey, id, rec, destroyed = false) {
+    // A destroyed entity never matches positive terms again, so only its removal record is kept
+    if (destroyed) this._changed.get(ckey)?.delete(id); else this._markChanged(ckey, id);
+    this._added.get(ckey)?.delete(id);
+    let m = this._removed.get(ckey);
+    if (!m) this._removed.set(ckey, m = new Map());
+    m.set(id, { tick: this._changeTick, rec });
+  }
+  _pruneRemoved() {
+    // Keep removal records until every recently-run system has had a chance to see them
+    let floor = this._lastTickEnd;
+    const horizon = this.step - this.removedRetention;
+    for (const run of this._systemRuns.values()) if (run.step > horizon && run.tick < floor) floor = run.tick;
+    for (const m of this._removed.values()) for (const [id, e] of m) if (e.tick <= floor) m.delete(id);
+  }
+
+  /** Open a per-system change window (called by SystemRegistry around each system).
+   * Marks made while the system runs are stamped with a fresh tick, and Changed/Added/Removed
+   * match only marks newer than the system's previous run. A system's first run sees every mark still held.
+   * @param {Function} key - System identity.
+   * @returns {{ prev:number, tick:number }} token for {@link World#_endSystem}
+   */
+  _beginSystem(key) {
+    const run = this._systemRuns.get(key);
+    const prev = this._since;
+    this._since = run ? run.tick : 0;
+    return { prev, tick: this._changeTick++ };
+  }
+  /** Close a per-system change window and record the system's last run. */
+  _endSystem(key, token) {
+    this._systemRuns.set(key, { tick: token.tick, step: this.step });
+    this._changeTick++;
+    this._since = token.prev;
+  }
+  _notify(event, Comp, id, rec) {
+    const hook = event === 'add' ? Comp.onAdd : event === 'remove' ? Comp.onRemove : Comp.onChange;
+    if (hook) { try { hook(id, rec, this); } catch (e) { console.warn(`[ecs] ${Comp.name}.${event} hook error`, e); } }
+    const set = this._obs.get(Comp.key)?.[event];
+    if (set) for (const f of set) { try { f(id, rec, this); } catch (e) { console.warn(`[ecs] ${Comp.name} ${event} observer error`, e); } }
+  }
+
+  /** Observe component lifecycle events on this world.
+   * Observers run after the component's own hook, in subscription order; deferred ops notify when flushed.
+   * @param {Component} Comp
+   * @param {'add'|'remove'|'change'} event
+   * @param {LifecycleHook} fn
+   * @returns {()=>void} unsubscribe
+   */
+  observe(Comp, event, fn) {
+    if (event !== 'add' && event !== 'remove' && event !== 'change') throw new Error(`observe: unknown event '${event}'`);
+    if (typeof fn !== 'function') throw new Error('observe: observer must be a function');
+    if (!this._obs.has(Comp.key)) this._obs.set(Comp.key, { add: new Set(), remove: new Set(), change: new Set() });
+    const set = this._obs.get(Comp.key)[event];
+    set.add(fn);
+    return () => { set.delete(fn); };
   }
 
   /**
@@ -230,11 +584,14 @@ export class World {
       if (this.strict) throw new Error('add: structural mutation during tick (strict)');
       this.command(['add', id, Comp, data]); return null;
     }
-    const rec = Object.assign({}, deepClone(Comp.defaults), deepClone(data || {}));
+    const rec = Object.assign({}, deepClone(Comp.defaults), _adopt(Comp, data));
     if (typeof Comp.validate === 'function' && !Comp.validate(rec)) throw new Error(`Validation failed for component ${Comp.name}`);
-    this._mapFor(Comp).set(id, rec);
-    this._markChanged(Comp.key, id);
-    this._invalidateCaches();
+    const store = this._mapFor(Comp);
+    const existed = store.has(id);
+    if (this._txn) this._journal(Comp.key, id, store);
+    store.set(id, rec);
+    if (existed) this._markChanged(Comp.key, id); else { this._markAdded(Comp.key, id); this._reindex(id, Comp.key); }
+    this._notify(existed ? 'change' : 'add', Comp, id, store.get(id));
     return rec;
   }
 
@@ -256,12 +613,44 @@ export class World {
     if (store.get) return store.get(id) || null;
     return null;
   }
+  /** Column arrays of an SoA-backed component, keyed by field and indexed by {@link entityIndex}.
+   * Schema fields are typed arrays; columns may be reallocated when the store grows, so fetch
+   * them again after structural changes rather than caching across ticks.
+   * @param {Component} Comp
+   * @returns {Record<string, ArrayLike<any>>}
+   */
+  columns(Comp) {
+    const store = this._mapFor(Comp);
+    if (!store.columns) throw new Error(`columns: ${Comp.name} is not SoA-backed (use new World({ store: 'soa' }))`);
+    return store.columns;
+  }
   /** Test whether an entity has a component.
    * @param {number} id
    * @param {Component} Comp
    * @returns {boolean}
    */
   has(id, Comp) { return this._mapFor(Comp).has(id); }
+  /** Components currently on an entity, in the order their stores were first created.
+   * Empty for dead or stale ids.
+   * @param {number} id
+   * @returns {Component[]}
+   */
+  componentsOf(id) {
+    const out = [];
+    if (!this.isAlive(id)) return out;
+    for (const store of this._store.values()) if (store.has(id)) out.push(store.comp);
+    return out;
+  }
+  /** [Component, record] pairs for every component on an entity (records as returned by get).
+   * @param {number} id
+   * @returns {Array<[Component, object]>}
+   */
+  entries(id) {
+    const out = [];
+    if (!this.isAlive(id)) return out;
+    for (const store of this._store.values()) if (store.has(id)) out.push([store.comp, store.get(id)]);
+    return out;
+  }
 
   /** Remove a component from an entity (structural change). Deferred during tick unless strict.
    * @param {number} id
@@ -273,9 +662,14 @@ export class World {
       if (this.strict) throw new Error('remove: structural mutation during tick (strict)');
       this.command(['remove', id, Comp]); return null;
     }
-    const ok = this._mapFor(Comp).delete(id);
-    if (ok) { this._markChanged(Comp.key, id); this._invalidateCaches(); }
-    return ok;
+    const store = this._mapFor(Comp);
+    if (this._txn && store.has(id)) this._journal(Comp.key, id, store);
+    const rec = store.take(id);
+    if (rec === undefined) return false;
+    this._markRemoved(Comp.key, id, rec);
+    this._reindex(id, Comp.key);
+    this._notify('remove', Comp, id, rec);
+    return true;
   }
 
   /** Patch-assign fields on a component record (non-structural change). Validates before assignment.
@@ -292,10 +686,12 @@ export class World {
     }
     const rec = this.get(id, Comp);
     if (!rec) throw new Error('set: entity lacks component');
-    const next = Object.assign({}, rec, patch);
+    const next = Object.assign({}, rec[$PLAIN] ? rec[$PLAIN]() : rec, patch);
     if (typeof Comp.validate === 'function' && !Comp.validate(next)) throw new Error(`Validation failed for component ${Comp.name}`);
+    if (this._txn) this._journal(Comp.key, id, this._mapFor(Comp));
     Object.assign(rec, patch);
     this._markChanged(Comp.key, id);
+    this._notify('change', Comp, id, rec);
     return rec;
   }
 
@@ -312,32 +708,85 @@ export class World {
     }
     const rec = this.get(id, Comp);
     if (!rec) throw new Error('mutate: entity lacks component');
+    if (this._txn) this._journal(Comp.key, id, this._mapFor(Comp));
     fn(rec);
     this._markChanged(Comp.key, id);
+    this._notify('change', Comp, id, rec);
     return rec;
   }
 
+  /** ===== Resources ===== */
+  /** Set a world-global resource (singleton record) defined with defineComponent, replacing any prior value.
+   * Resources are not attached to entities and take effect immediately, even inside a tick.
+   * @param {Component} Res
+   * @param {object} [data]
+   * @returns {object} The stored record.
+   */
+  setResource(Res, data) {
+    const rec = Object.assign({}, deepClone(Res.defaults), _adopt(Res, data));
+    if (typeof Res.validate === 'function' && !Res.validate(rec)) throw new Error(`Validation failed for resource ${Res.name}`);
+    if (this._txn) this._journalResource(Res.key);
+    this._res.set(Res.key, { comp: Res, rec, tick: this._changeTick });
+    return rec;
+  }
+  /** Get a resource record or null if unset.
+   * @param {Component} Res
+   * @returns {object|null}
+   */
+  resource(Res) { return this._res.get(Res.key)?.rec || null; }
+  /** Test whether a resource is set. @param {Component} Res @returns {boolean} */
+  hasResource(Res) { return this._res.has(Res.key); }
+  /** Remove a resource. @param {Component} Res @returns {boolean} */
+  removeResource(Res) {
+    if (!this._res.has(Res.key)) return false;
+    if (this._txn) this._journalResource(Res.key);
+    return this._res.delete(Res.key);
+  }
+  /** Mutate a resource in place and mark it changed.
+   * @param {Component} Res
+   * @param {(rec:object)=>void} fn
+   * @returns {object}
+   */
+  mutateResource(Res, fn) {
+    const e = this._res.get(Res.key);
+    if (!e) throw new Error(`mutateResource: resource ${Res.name} not set`);
+    if (this._txn) this._journalResource(Res.key);
+    fn(e.rec);
+    e.tick = this._changeTick;
+    return e.rec;
+  }
+  /** Mark a resource changed after mutating it directly. @param {Component} Res */
+  markResourceChanged(Res) { const e = this._res.get(Res.key); if (e) e.tick = this._changeTick; }
+  /** Whether a resource was set or mutated within the current change window (same rules as Changed).
+   * @param {Component} Res
+   * @returns {boolean}
+   */
+  resourceChanged(Res) { const e = this._res.get(Res.key); return !!e && e.tick > this._since; }
+  /** All resources as [Res, record] pairs, in the order they were first set. @returns {Array<[Component, object]>} */
+  resources() { return Array.from(this._res.values(), (e) => [e.comp, e.rec]); }
+
   /** ===== Queries ===== */
   _isOpts(o) { return o && typeof o === 'object' && !('key' in o) && !('kind' in o); }
 
   /** Query entities by component presence/absence and change status.
    * Returns a lazy iterable of [id, ...components] tuples, augmented with run(fn) and count({cheap?:boolean}).
+   * Tuples hold records for positive and Removed terms, in term order (Removed yields the last-known record).
    * With options object, supports where/project/orderBy/offset/limit.
-   * @param {...(Component|ReturnType<typeof Not>|ReturnType<typeof Changed>|object)} terms
+   * @param {...(Component|ReturnType<typeof Not>|ReturnType<typeof Changed>|ReturnType<typeof Added>|ReturnType<typeof Removed>|object)} terms
    * @returns {Iterable & { run(fn:Function): World, count(opts?:{cheap?:boolean}): number }}
    */
   query(...terms) {
     let opts = null;
     if (terms.length && this._isOpts(terms[terms.length - 1])) opts = terms.pop();
     const spec = normalizeTerms(terms);
-    const key = spec.cacheKey;
-    const baseList = this._cachedEntityList(spec, key);
+    const baseList = this._cachedEntityList(spec);
 
     if (!opts) {
       const tuples = this._tuplesFromList(baseList, spec);
       const self = this;
       tuples.run = (fn) => { for (const row of tuples) fn(...row); return self; };
       tuples.count = (o) => (o && o.cheap) ? baseList.length : countFiltered(self, baseList, spec);
+      tuples.columns = (Comp) => self.columns(Comp);
       return tuples;
     }
 
@@ -351,7 +800,7 @@ export class World {
       for (let i = 0; i < list.length; i++) {
         const id = list[i];
         if (!passesDynamicFilters(this, id, spec)) continue;
-        const comps = spec.all.map(c => this.get(id, c));
+        const comps = rowOf(this, id, spec);
         if (where && !where(...comps, id)) continue;
         rows.push({ id, comps });
       }
@@ -390,7 +839,7 @@ export class World {
       for (let i = 0; i < list.length; i++) {
         const id = list[i];
         if (!passesDynamicFilters(self, id, spec)) continue;
-        const comps = spec.all.map(c => self.get(id, c));
+        const comps = rowOf(self, id, spec);
         if (where && !where(...comps, id)) continue;
         if (seen++ < start) continue;
         if (used++ >= lim) break;
@@ -404,15 +853,15 @@ export class World {
   }
 
   /** Generator form of query yielding [id, ...components].
-   * @param {...(Component|ReturnType<typeof Not>|ReturnType<typeof Changed>)} terms
+   * @param {...(Component|ReturnType<typeof Not>|ReturnType<typeof Changed>|ReturnType<typeof Added>|ReturnType<typeof Removed>)} terms
    */
   *queryGen(...terms) {
     const spec = normalizeTerms(terms);
-    const list = this._cachedEntityList(spec, spec.cacheKey);
+    const list = this._cachedEntityList(spec);
     for (let i = 0; i < list.length; i++) {
       const id = list[i];
       if (!passesDynamicFilters(this, id, spec)) continue;
-      yield [id, ...spec.all.map(c => this.get(id, c))];
+      yield [id, ...rowOf(this, id, spec)];
     }
   }
 
@@ -422,28 +871,188 @@ export class World {
       for (let i = 0; i < list.length; i++) {
         const id = list[i];
         if (!passesDynamicFilters(self, id, spec)) continue;
-        yield [id, ...spec.all.map(c => self.get(id, c))];
+        yield [id, ...rowOf(self, id, spec)];
       }
     }
     return { [Symbol.iterator]: iter };
   }
 
-  _cachedEntityList(spec, key) {
-    if (this._cache.has(key)) return this._cache.get(key);
+  /** Define a persistent query. Its membership is maintained incrementally as components are
+   * added/removed, so iterating it never re-sorts or re-intersects stores.
+   * @param {...(Component|ReturnType<typeof Not>|ReturnType<typeof Changed>|ReturnType<typeof Added>|ReturnType<typeof Removed>)} terms
+   * @returns {Query}
+   */
+  defineQuery(...terms) { return new Query(this, terms); }
+
+  _cachedEntityList(spec) {
+    if (!spec.all.length && spec.removed.length) return this._removedList(spec);
+    return this._indexFor(spec).list();
+  }
+
+  _indexFor(spec) {
+    this._flushDirty();
+    let q = this._queries.get(spec.cacheKey);
+    if (q) {
+      // Most recently used last, so ad-hoc eviction drops the stalest first
+      if (!q.refs) { this._queries.delete(spec.cacheKey); this._queries.set(spec.cacheKey, q); }
+      return q;
+    }
+    q = new QueryIndex(spec.all, spec.none);
+    q.rebuild(this);
+    this._queries.set(spec.cacheKey, q);
+    for (const c of [...spec.all, ...spec.none]) {
+      if (!this._queriesByComp.has(c.key)) this._queriesByComp.set(c.key, new Set());
+      this._queriesByComp.get(c.key).add(q);
+    }
+    if (!spec.all.length) this._queriesAll.add(q);
+    this._evictQueries(q);
+    return q;
+  }
+  /** Drop least recently used indices no defined query holds, beyond queryCacheSize. */
+  _evictQueries(keep) {
+    let spare = -Math.max(0, this.queryCacheSize | 0);
+    for (const q of this._queries.values()) if (!q.refs) spare++;
+    for (const [key, q] of this._queries) {
+      if (spare <= 0) break;
+      if (q.refs || q === keep) continue;
+      this._dropIndex(key, q);
+      spare--;
+    }
+  }
+  _dropIndex(key, q) {
+    this._queries.delete(key);
+    for (const c of [...q.all, ...q.none]) {
+      const qs = this._queriesByComp.get(c.key);
+      if (qs && qs.delete(q) && !qs.size) this._queriesByComp.delete(c.key);
+    }
+    this._queriesAll.delete(q);
+  }
+
+  /** Re-evaluate an entity's membership in the indices that mention a component
+   * (ckey null: indices without positive terms). Coalesced while a batch is open. */
+  _reindex(id, ckey) {
+    if (this._batchDepth) {
+      let ids = this._dirty.get(ckey);
+      if (!ids) this._dirty.set(ckey, ids = new Set());
+      ids.add(id);
+      return;
+    }
+    const qs = ckey === null ? this._queriesAll : this._queriesByComp.get(ckey);
+    if (qs) for (const q of qs) q.update(this, id);
+  }
+  _flushDirty() {
+    if (!this._dirty.size) return;
+    const dirty = this._dirty; this._dirty = new Map();
+    for (const [ckey, ids] of dirty) {
+      const qs = ckey === null ? this._queriesAll : this._queriesByComp.get(ckey);
+      if (qs) for (const q of qs) for (const id of ids) q.update(this, id);
+    }
+  }
+
+  /** ===== Batches & transactions ===== */
+  /** Run fn with query index maintenance coalesced: each touched entity is re-indexed once when the
+   * outermost batch ends (or lazily when a query is read inside the batch). Change marks within a
+   * batch share one change tick. Nested batches join the outer one.
+   * @template T
+   * @param {(world:World)=>T} fn
+   * @returns {T}
+   */
+  batch(fn) {
+    this._batchDepth++;
+    try { return fn(this); }
+    finally { if (--this._batchDepth === 0) this._flushDirty(); }
+  }
+
+  /** Run fn as a batch that is rolled back if it throws: entity creation/destruction (ids, free list,
+   * generations), component records and change marks are restored, operations it deferred to the end
+   * of the tick are dropped, then the error is rethrown.
+   * Lifecycle hooks and observers that already fired are not replayed in reverse.
+   * Nested transactions join the outer one.
+   * @template T
+   * @param {(world:World)=>T} fn
+   * @returns {T}
+   */
+  transaction(fn) {
+    if (this._txn) return fn(this);
+    const txn = this._txn = { entities: [], records: new Map(), resources: new Map(), cmds: this._cmd.length };
+    try { return this.batch(fn); }
+    catch (e) { this._txn = null; this._rollback(txn); throw e; }
+    finally { this._txn = null; }
+  }
+
+  /** Record the prior state of a component record the first time a transaction touches it. */
+  _journal(ckey, id, store) {
+    let m = this._txn.records.get(ckey);
+    if (!m) this._txn.records.set(ckey, m = new Map());
+    if (m.has(id)) return;
+    const live = store.get(id);
+    m.set(id, {
+      store, live, rec: live === undefined ? undefined : _cloneRecord(store.comp, live),
+      changed: this._changed.get(ckey)?.get(id),
+      added: this._added.get(ckey)?.get(id),
+      removed: this._removed.get(ckey)?.get(id)
+    });
+  }
+  _journalResource(key) {
+    if (this._txn.resources.has(key)) return;
+    const e = this._res.get(key);
+    this._txn.resources.set(key, e && { entry: e, rec: _cloneRecord(e.comp, e.rec), tick: e.tick });
+  }
+  _rollback(txn) {
+    // Deferred ops queued by fn (destroy/remove/set inside a tick) must not run once it has failed
+    this._cmd.length = Math.min(this._cmd.length, txn.cmds);
+    // Entity ops in reverse so the free list unwinds as a stack
+    for (let i = txn.entities.length - 1; i >= 0; i--) {
+      const [op, id, fromFree] = txn.entities[i];
+      const index = entityIndex(id);
+      if (op === 'create') { this.alive.delete(id); if (fromFree) this._free.push(index); else this._nextId--; }
+      else { this.alive.add(id); this._free.pop(); this._gen[index] = entityGeneration(id); }
+    }
+    const restoreMark = (marks, ckey, id, v) => {
+      if (v === undefined) marks.get(ckey)?.delete(id);
+      else { let m = marks.get(ckey); if (!m) marks.set(ckey, m = new Map()); m.set(id, v); }
+    };
+    for (const [ckey, m] of txn.records) {
+      for (const [id, prior] of m) {
+        const { store, live, rec } = prior;
+        if (rec === undefined) store.take(id);
+        else if (live[$PLAIN]) store.set(id, rec);
+        else {
+          // Restore map-store records in place so references held by callers stay valid
+          for (const k of Object.keys(live)) if (!(k in rec)) delete live[k];
+          store.set(id, Object.assign(live, rec));
+        }
+        restoreMark(this._changed, ckey, id, prior.changed);
+        restoreMark(this._added, ckey, id, prior.added);
+        restoreMark(this._removed, ckey, id, prior.removed);
+        this._reindex(id, ckey);
+      }
+    }
+    for (const [, id] of txn.entities) this._reindex(id, null);
+    for (const [key, prior] of txn.resources) {
+      if (!prior) { this._res.delete(key); continue; }
+      const { entry, rec } = prior;
+      for (const k of Object.keys(entry.rec)) if (!(k in rec)) delete entry.rec[k];
+      Object.assign(entry.rec, rec);
+      entry.tick = prior.tick;
+      this._res.set(key, entry);
+    }
+  }
+
+  _removedList(spec) {
     let result = null;
-    for (const c of spec.all) {
-      const store = this._mapFor(c);
-      const arr = store.entityIds();
+    for (const c of spec.removed) {
+      const m = this._removed.get(c.key), arr = [];
+      if (m) { for (const [id, e] of m) if (e.tick > this._since) arr.push(id); arr.sort((a, b) => a - b); }
       result = result ? intersectSorted(result, arr) : arr;
       if (!result.length) break;
     }
-    if (spec.all.length === 0) result = Array.from(this.alive).sort((a, b) => a - b);
-    this._cache.set(key, result);
     return result;
   }
 
-  _invalidateCaches() {
-    this._cache.clear();
+  /** Rebuild every query index from the stores (bulk restores). */
+  _rebuildQueries() {
+    for (const q of this._queries.values()) q.rebuild(this);
   }
 
   /** ===== Events ===== */
@@ -476,27 +1085,185 @@ export class World {
   /** ===== Diagnostics ===== */
   /** Mark a component as changed (diagnostics/testing). @param {number} id @param {Component} Comp */
   markChanged(id, Comp) { this._markChanged(Comp.key, id); }
-  /** Has the entity's component changed since last tick? @param {number} id @param {Component} Comp @returns {boolean} */
-  changed(id, Comp) { const s = this._changed.get(Comp.key); return !!(s && s.has(id)); }
+  /** Has the entity's component changed in the current window (see {@link Changed})? @param {number} id @param {Component} Comp @returns {boolean} */
+  changed(id, Comp) { const t = this._changed.get(Comp.key)?.get(id); return t !== undefined && t > this._since; }
+  /** Was the component added to the entity in the current window? @param {number} id @param {Component} Comp @returns {boolean} */
+  added(id, Comp) { const t = this._added.get(Comp.key)?.get(id); return t !== undefined && t > this._since; }
+  /** Last-known record if the component was removed in the current window, else null. @param {number} id @param {Component} Comp @returns {object|null} */
+  removed(id, Comp) { const e = this._removed.get(Comp.key)?.get(id); return (e && e.tick > this._since) ? e.rec : null; }
+  /** Forget change-detection history (Changed/Added/Removed marks, resource stamps, per-system windows),
+   * as if every system had just run. See {@link World#changeState} to carry the history over instead.
+   * @returns {this}
+   */
+  clearChangeHistory() {
+    this._changed.clear(); this._added.clear(); this._removed.clear(); this._systemRuns.clear();
+    for (const e of this._res.values()) e.tick = 0;
+    this._lastTickEnd = this._since = this._changeTick++;
+    return this;
+  }
+  /** Change-detection state (Changed/Added/Removed marks, resource stamps, per-system windows) for
+   * {@link World#restoreChangeState}. Components, resources and systems appear by reference; replay.js
+   * stores a JSON form in keyframes. Call between ticks.
+   * @returns {{ changeTick:number, lastTickEnd:number, since:number,
+   *   changed:Array<[Component, Array<[number, number]>]>, added:Array<[Component, Array<[number, number]>]>,
+   *   removed:Array<[Component, Array<[number, number, object]>]>, resources:Array<[Component, number]>,
+   *   systemRuns:Array<[Function, { tick:number, step:number }]> }}
+   */
+  changeState() {
+    const marks = (m) => {
+      const out = [];
+      for (const [k, ids] of m) {
+        const Comp = this._store.get(k)?.comp;
+        if (Comp && ids.size) out.push([Comp, Array.from(ids, ([id, e]) => typeof e === 'number' ? [id, e] : [id, e.tick, e.rec])]);
+      }
+      return out;
+    };
+    return {
+      changeTick: this._changeTick, lastTickEnd: this._lastTickEnd, since: this._since,
+      changed: marks(this._changed), added: marks(this._added), removed: marks(this._removed),
+      resources: Array.from(this._res.values(), (e) => [e.comp, e.tick]),
+      systemRuns: Array.from(this._systemRuns, ([fn, run]) => [fn, { ...run }])
+    };
+  }
+  /** Restore state returned by {@link World#changeState} (typically right after loading the snapshot
+   * taken at the same moment). Existing marks and per-system windows are replaced.
+   * @param {ReturnType<World['changeState']>} state
+   * @returns {this}
+   */
+  restoreChangeState(state) {
+    if (this._inTick) throw new Error('restoreChangeState: cannot restore during a tick');
+    const marks = (list, removed) => {
+      const out = new Map();
+      for (const [Comp, rows] of list) {
+        this._mapFor(Comp);
+        out.set(Comp.key, new Map(rows.map(([id, tick, rec]) => [id, removed ? { tick, rec } : tick])));
+      }
+      return out;
+    };
+    this._changed = marks(state.changed, false); this._added = marks(state.added, false); this._removed = marks(state.removed, true);
+    const ticks = new Map(state.resources.map(([Res, tick]) => [Res.key, tick]));
+    for (const [k, e] of this._res) e.tick = ticks.get(k) ?? 0;
+    this._systemRuns = new Map(state.systemRuns.map(([fn, run]) => [fn, { ...run }]));
+    this._changeTick = state.changeTick; this._lastTickEnd = state.lastTickEnd; this._since = state.since;
+    return this;
+  }
   /** Enable or disable debug mode. @param {boolean} [on=true] @returns {this} */
   enableDebug(on = true) { this._debug = !!on; return this; }
 }
 
+/** ===== Query objects ===== */
+
+/**
+ * Persistent query created by {@link World#defineQuery}. Iterates [id, ...components] tuples in
+ * ascending id order, like {@link World#query}; Changed/Added/Removed terms are re-evaluated per iteration.
+ */
+export class Query {
+  constructor(world, terms) {
+    this.world = world;
+    this.spec = normalizeTerms(terms);
+    this._index = (this.spec.all.length || !this.spec.removed.length) ? world._indexFor(this.spec) : null;
+    if (this._index) this._index.refs++;
+  }
+  /** Release the membership index so add/remove stop maintaining it once no other defined query shares it.
+   * The query stays usable, but iterating it again keeps an ad-hoc index like {@link World#query} does.
+   * @returns {void}
+   */
+  dispose() {
+    const q = this._index;
+    if (!q) return;
+    this._index = null;
+    if (--q.refs === 0 && this.world._queries.get(this.spec.cacheKey) === q) this.world._dropIndex(this.spec.cacheKey, q);
+  }
+  /** Matching entity ids (after dynamic filters). @returns {number[]} */
+  ids() {
+    const list = this.world._cachedEntityList(this.spec), out = [];
+    for (let i = 0; i < list.length; i++) if (passesDynamicFilters(this.world, list[i], this.spec)) out.push(list[i]);
+    return out;
+  }
+  *[Symbol.iterator]() {
+    const world = this.world, spec = this.spec;
+    const list = world._cachedEntityList(spec);
+    for (let i = 0; i < list.length; i++) {
+      const id = list[i];
+      if (!passesDynamicFilters(world, id, spec)) continue;
+      yield [id, ...rowOf(world, id, spec)];
+    }
+  }
+  /** Invoke fn(id, ...components) per match. @param {Function} fn @returns {World} */
+  run(fn) { for (const row of this) fn(...row); return this.world; }
+  /** Slot indices of the matches, for indexing {@link Query#columns} arrays. @returns {Int32Array} */
+  indices() { return Int32Array.from(this.ids(), entityIndex); }
+  /** Column arrays of an SoA-backed component (see {@link World#columns}).
+   * @example
+   * const q = world.defineQuery(Position, Velocity);
+   * const { x, y } = q.columns(Position), { dx, dy } = q.columns(Velocity);
+   * for (const i of q.indices()) { x[i] += dx[i]; y[i] += dy[i]; }
+   * @param {Component} Comp
+   */
+  columns(Comp) { return this.world.columns(Comp); }
+  /** Count matches; `cheap` skips dynamic filters. @param {{cheap?:boolean}} [o] @returns {number} */
+  count(o) {
+    const list = this.world._cachedEntityList(this.spec);
+    return (o && o.cheap) ? list.length : countFiltered(this.world, list, this.spec);
+  }
+}
+
+/** Sorted membership for one (positive, Not) term set, with copy-on-write for live iterators. */
+class QueryIndex {
+  constructor(all, none) { this.all = all; this.none = none; this.ids = []; this.shared = false; this.refs = 0; }
+  matches(world, id) {
+    if (!world.alive.has(id)) return false;
+    for (const c of this.all) if (!world.has(id, c)) return false;
+    for (const c of this.none) if (world.has(id, c)) return false;
+    return true;
+  }
+  rebuild(world) {
+    let result = null;
+    for (const c of this.all) {
+      const arr = world._mapFor(c).entityIds();
+      result = result ? intersectSorted(result, arr) : arr;
+      if (!result.length) break;
+    }
+    if (!this.all.length) result = Array.from(world.alive).sort((a, b) => a - b);
+    if (this.none.length) result = result.filter(id => this.none.every(c => !world.has(id, c)));
+    this.ids = result; this.shared = false;
+  }
+  update(world, id) {
+    const at = sortedIndex(this.ids, id);
+    const present = this.ids[at] === id;
+    const want = this.matches(world, id);
+    if (present === want) return;
+    if (this.shared) { this.ids = this.ids.slice(); this.shared = false; }
+    if (want) this.ids.splice(at, 0, id); else this.ids.splice(at, 1);
+  }
+  /** Current ids; callers may hold the array while the index keeps changing. */
+  list() { this.shared = true; return this.ids; }
+}
+
 /** ===== Query helpers ===== */
 function normalizeTerms(terms) {
-  const all = [], none = [], changed = [];
+  const all = [], none = [], changed = [], added = [], removed = [];
+  const fetch = []; // tuple slots in term order: { Comp, removed }
   for (const t of terms) {
     if (!t) continue;
     if (t.kind === $NOT) none.push(t.Comp);
     else if (t.kind === $CHANGED) changed.push(t.Comp);
-    else all.push(t);
+    else if (t.kind === $ADDED) added.push(t.Comp);
+    else if (t.kind === $REMOVED) { removed.push(t.Comp); fetch.push({ Comp: t.Comp, removed: true }); }
+    else { all.push(t); fetch.push({ Comp: t, removed: false }); }
   }
-  const cacheKey = all.map(c => c.key.description || 'c').sort().join('|') || '*';
-  return { all, none, changed, cacheKey };
+  const ids = (list) => list.map(componentId).sort((a, b) => a - b).join('|');
+  const cacheKey = (ids(all) || '*') + (none.length ? '!' + ids(none) : '');
+  return { all, none, changed, added, removed, fetch, cacheKey };
+}
+function rowOf(world, id, spec) {
+  return spec.fetch.map(f => f.removed ? world.removed(id, f.Comp) : world.get(id, f.Comp));
 }
 function passesDynamicFilters(world, id, spec) {
   for (const c of spec.none)    if (world.has(id, c)) return false;
   for (const c of spec.changed) if (!world.changed(id, c)) return false;
+  for (const c of spec.added)   if (!world.added(id, c)) return false;
+  for (const c of spec.removed) if (!world.removed(id, c)) return false;
   return true;
 }
 function countFiltered(world, list, spec, where = null) {
@@ -505,7 +1272,7 @@ function countFiltered(world, list, spec, where = null) {
     const id = list[i];
     if (!passesDynamicFilters(world, id, spec)) continue;
     if (where) {
-      const comps = spec.all.map(k => world.get(id, k));
+      const comps = rowOf(world, id, spec);
       if (!where(...comps, id)) continue;
     }
     c++;
@@ -514,52 +1281,172 @@ function countFiltered(world, list, spec, where = null) {
 }
 
 /** ===== Set stores ===== */
-function makeMapStore() {
+function makeMapStore(Comp) {
   const map = new Map();
-  const fast = Object.create(null);
+  let fast = Object.create(null);
   return {
+    comp: Comp,
     set(id, rec) { map.set(id, rec); fast[id] = rec; },
     get(id) { return map.get(id); },
     has(id) { return map.has(id); },
     delete(id) { const ok = map.delete(id); delete fast[id]; return ok; },
+    take(id) { const rec = map.get(id); if (rec === undefined) return undefined; map.delete(id); delete fast[id]; return rec; },
     entityIds() { const arr = Array.from(map.keys()); arr.sort((a, b) => a - b); return arr; },
+    save() { return _cloneRecords(map, Comp); },
+    restore(state) {
+      map.clear();
+      this.fast = fast = Object.create(null);
+      if (state) for (const [id, rec] of state) { const copy = _cloneRecord(Comp, rec); map.set(id, copy); fast[id] = copy; }
+    },
     fast
   };
 }
 
 function makeSoAStore(Comp) {
+  // Columns are indexed by slot; presence is tracked by full handle so stale ids miss.
+  // Schema fields get growable typed arrays; other fields fall back to plain arrays.
   const fields = Object.keys(Comp.defaults || {});
-  const arrays = Object.fromEntries(fields.map(f => [f, []]));
+  const schema = Comp.schema || {};
+  const defaults = Comp.defaults || {};
+  let cap = 16;
+  const columns = {};
+  for (const f of fields) { const T = FIELD_ARRAYS[schema[f]]; columns[f] = T ? new T(cap) : []; }
   const present = new Set();
   const views = new Map();
+
+  // One prototype per store: accessors read the current column for the view's slot
+  const proto = {
+    [$PLAIN]() { const out = {}; for (const f of fields) out[f] = this[f]; return out; },
+    toJSON() { return this[$PLAIN](); }
+  };
+  for (const f of fields) {
+    const isBool = schema[f] === 'bool', typed = !!FIELD_ARRAYS[schema[f]];
+    Object.defineProperty(proto, f, {
+      enumerable: true,
+      get: isBool ? function () { return columns[f][this[$SLOT]] === 1; }
+        : typed ? function () { return columns[f][this[$SLOT]]; }
+        : function () { return columns[f][this[$SLOT]] ?? defaults[f]; },
+      set: isBool ? function (v) { columns[f][this[$SLOT]] = v ? 1 : 0; }
+        : function (v) { columns[f][this[$SLOT]] = v; }
+    });
+  }
   function view(id) {
-    if (views.has(id)) return views.get(id);
-    const obj = {};
+    let v = views.get(id);
+    if (!v) { v = Object.create(proto); v[$SLOT] = entityIndex(id); views.set(id, v); }
+    return v;
+  }
+  function ensure(i) {
+    if (i < cap) return;
+    while (cap <= i) cap *= 2;
     for (const f of fields) {
-      Object.defineProperty(obj, f, {
-        get() { return arrays[f][id] ?? Comp.defaults[f]; },
-        set(v) { arrays[f][id] = v; }
-      });
+      const col = columns[f];
+      if (Array.isArray(col)) continue;
+      const next = new col.constructor(cap); next.set(col); columns[f] = next;
     }
-    views.set(id, obj);
-    return obj;
+  }
+  function write(i, f, v) {
+    if (schema[f] === 'bool') columns[f][i] = v ? 1 : 0;
+    else columns[f][i] = v;
   }
   const fast = undefined;
   return {
-    set(id, rec) { present.add(id); for (const f of fields) arrays[f][id] = (rec[f] ?? Comp.defaults[f]); },
+    comp: Comp,
+    columns,
+    set(id, rec) {
+      present.add(id); const i = entityIndex(id); ensure(i);
+      for (const f of fields) write(i, f, rec[f] ?? defaults[f]);
+    },
     get(id) { return present.has(id) ? view(id) : undefined; },
     has(id) { return present.has(id); },
     delete(id) { const had = present.delete(id); views.delete(id); return had; },
+    take(id) {
+      if (!present.has(id)) return undefined;
+      const rec = view(id)[$PLAIN]();
+      present.delete(id); views.delete(id);
+      return rec;
+    },
     entityIds() { const arr = Array.from(present.values()); arr.sort((a, b) => a - b); return arr; },
+    save() {
+      // Hooked components are copied per record through their hooks (plain columns may hold instances)
+      if (Comp.serialize) return { present: Array.from(present), records: Array.from(present, (id) => [id, _cloneRecord(Comp, view(id)[$PLAIN]())]) };
+      const cols = {};
+      for (const f of fields) cols[f] = Array.isArray(columns[f]) ? deepClone(columns[f]) : columns[f].slice();
+      return { present: Array.from(present), cols };
+    },
+    restore(state) {
+      present.clear(); views.clear();
+      if (!state) return;
+      if (state.records) {
+        for (const [id, rec] of state.records) {
+          const copy = _cloneRecord(Comp, rec);
+          present.add(id); const i = entityIndex(id); ensure(i);
+          for (const f of fields) write(i, f, copy[f] ?? defaults[f]);
+        }
+        return;
+      }
+      for (const id of state.present) present.add(id);
+      for (const f of fields) {
+        const saved = state.cols[f];
+        if (Array.isArray(saved)) { columns[f] = deepClone(saved); continue; }
+        ensure(saved.length - 1);
+        columns[f].set(saved);
+      }
+    },
     fast
   };
 }
 
-/** Deep clone for component defaults/data (keeps host objects by ref). */
+/** Copy change marks (Map<Comp.key, Map<id, mark>>); mark values are never mutated in place. */
+function _copyMarks(marks) {
+  const out = new Map();
+  for (const [k, m] of marks) out.set(k, new Map(m));
+  return out;
+}
+
+/** Copy a Map<id, record> with deep-copied records (hot path for saveState/restoreState). */
+function _cloneRecords(map, Comp) {
+  const out = new Map();
+  for (const [id, rec] of map) out.set(id, _cloneRecord(Comp, rec));
+  return out;
+}
+
+/** Independent copy of a record: through the component's serialize/deserialize hooks when it has them
+ * (so class instances and handles survive), else a deep copy. */
+function _cloneRecord(Comp, rec) {
+  return Comp?.serialize ? Comp.deserialize(Comp.serialize(rec)) : _copyData(rec);
+}
+
+/** Data passed to add/setResource as stored: hooked components keep their values (instances, handles)
+ * by reference, everything else is deep-cloned. */
+function _adopt(Comp, data) {
+  if (!data) return {};
+  return Comp.serialize ? { ...(typeof data[$PLAIN] === 'function' ? data[$PLAIN]() : data) } : deepClone(data);
+}
+
+/** Fast deep copy for plain data; other objects go through deepClone. */
+function _copyData(v) {
+  if (v === null || typeof v !== 'object') return v;
+  if (Array.isArray(v)) { const out = new Array(v.length); for (let i = 0; i < v.length; i++) out[i] = _copyData(v[i]); return out; }
+  const proto = Object.getPrototypeOf(v);
+  if (proto !== Object.prototype && proto !== null) return deepClone(v);
+  const out = {};
+  for (const k in v) out[k] = _copyData(v[k]);
+  return out;
+}
+
+/** Deep clone for component defaults/data (keeps host objects by ref).
+ * Without structuredClone (or when it rejects a value, e.g. a Map holding a function) built-in
+ * collections are still copied rather than shared. */
 function deepClone(v) {
+  if (v && typeof v === 'object' && typeof v[$PLAIN] === 'function') return deepClone(v[$PLAIN]());
   if (typeof structuredClone === 'function') { try { return structuredClone(v); } catch {} }
   if (v === null || typeof v !== 'object') return v;
   if (Array.isArray(v)) return v.map(deepClone);
+  if (v instanceof Map) return new Map(Array.from(v, ([k, x]) => [deepClone(k), deepClone(x)]));
+  if (v instanceof Set) return new Set(Array.from(v, deepClone));
+  if (v instanceof Date) return new Date(v.getTime());
+  if (v instanceof ArrayBuffer) return v.slice(0);
+  if (ArrayBuffer.isView(v)) return v instanceof DataView ? new DataView(v.buffer.slice(v.byteOffset, v.byteOffset + v.byteLength)) : v.slice();
   const proto = Object.getPrototypeOf(v);
   const isPlain = (proto === Object.prototype || proto === null);
   if (!isPlain) return v;
@@ -568,6 +1455,13 @@ function deepClone(v) {
   return out;
 }
 
+/** Lower-bound binary search in an ascending id array. */
+function sortedIndex(arr, id) {
+  let lo = 0, hi = arr.length;
+  while (lo < hi) { const mid = (lo + hi) >>> 1; if (arr[mid] < id) lo = mid + 1; else hi = mid; }
+  return lo;
+}
+
 /** Sorted intersection helper. */
 function intersectSorted(a, b) {
   let i = 0, j = 0; const out = [];
@@ -6,8 +6,12 @@
  * @module ecs/crossWorld
  * Utilities for holding references to entities that include their originating World.
  * Helpful when passing entity handles between systems spanning multiple worlds.
+ * Entity ids are generational handles, so a reference to a destroyed entity stays invalid
+ * even after its slot is recycled for a new entity.
  */
 
+import { entityGeneration } from './core.js';
+
 /**
  * @typedef {import('./core.js').World} World
  */
@@ -17,6 +21,7 @@
  * @property {World} world - Source world of the entity.
  * @property {number} id - Entity id (redundant with entityId for compatibility).
  * @property {number} entityId - Entity id (legacy name).
+ * @property {number} gen - Generation of the handle at creation time (diagnostics).
  */
 
 /**
@@ -28,7 +33,7 @@
 export function createCrossWorldReference(world, id){
   const eid = id|0;
   // store both keys for compatibility with any existing callers
-  return { world, id: eid, entityId: eid };
+  return { world, id: eid, entityId: eid, gen: entityGeneration(eid) };
 }
 
 /** @private */
@@ -40,6 +45,7 @@ function _aliveHas(world, id){
 
 /**
  * Validate that a cross-world reference points to a currently alive entity.
+ * Stale handles (entity destroyed, slot possibly reused at a newer generation) are rejected.
  * @param {Partial<CrossWorldRef>} ref
  * @returns {boolean}
  */
@@ -8,7 +8,7 @@ import {
   defineArchetype, compose, createFrom, createMany, createDeferred, withOverrides, cloneFrom
 } from '../archetype.js';
 import {
-  registerSystem, setSystemOrder, getOrderedSystems, runSystems, runPhases, composeScheduler, clearSystems
+  SystemRegistry, runSystems, runPhases, composeScheduler
 } from '../systems.js';
 import {
   Parent, Sibling, ensureParent, isChild, getParent, children, childrenWith, childCount, attach, detach, destroySubtree, reparent, indexOf, nthChild
@@ -56,12 +56,12 @@ createDeferred(world, VisibleActor, { name: 'late', x: 9, y: 9 });
 log('createDeferred scheduled (will materialize on tick)');
 
 // ----- Systems & Scheduler -----
-clearSystems();
 const intentPhase = 'intent', updatePhase = 'update', renderPhase = 'render';
-registerSystem((w)=>{ w.emit('spawn', { phase:intentPhase }); }, intentPhase);
-registerSystem((w)=>{ for (const [id, pos] of w.query(Position)) { pos.x += 1; } }, updatePhase);
-registerSystem((w)=>{ /* no-op render */ }, renderPhase);
-setSystemOrder(updatePhase, getOrderedSystems(updatePhase));
+world.system((w)=>{ w.emit('spawn', { phase:intentPhase }); }, intentPhase);
+world.system((w)=>{ for (const [id, pos] of w.query(Position)) { pos.x += 1; } }, updatePhase);
+world.system((w)=>{ /* no-op render */ }, renderPhase);
+world.systems.setOrder(updatePhase, world.systems.ordered(updatePhase));
+log(`world.systems phases -> ${world.systems.phases().join(',')}`);
 
 world.setScheduler(composeScheduler(intentPhase, updatePhase, renderPhase));
 world.tick(1);
@@ -9,16 +9,18 @@
  * Composition-friendly and domain-neutral; works with {@link module:ecs/core~World}.
  */
 
+import { defineComponent } from './core.js';
+
 /**
  * @typedef {import('./core.js').World} World
  */
 
-const KEY = Object.freeze({ Parent: Symbol('Parent'), Sibling: Symbol('Sibling') });
-
 /** Parent component: tracks first/last child and count. */
-export const Parent  = { key: KEY.Parent,  name: 'Parent',  defaults: Object.freeze({ first:0, last:0, count:0 }) };
+export const Parent  = defineComponent('Parent',  { first:0, last:0, count:0 },
+  { schema: { first:'entity', last:'entity', count:'i32' } });
 /** Sibling component: holds parent id, prev/next sibling ids, and stable index. */
-export const Sibling = { key: KEY.Sibling, name: 'Sibling', defaults: Object.freeze({ parent:0, prev:0, next:0, index:0 }) };
+export const Sibling = defineComponent('Sibling', { parent:0, prev:0, next:0, index:0 },
+  { schema: { parent:'entity', prev:'entity', next:'entity', index:'i32' } });
 
 /** Ensure entity has a Parent component. @param {World} world @param {number} id @returns {number} */
 export function ensureParent(world, id){ if (!world.has(id, Parent)) world.add(id, Parent, { first:0, last:0, count:0 }); return id; }
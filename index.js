@@ -5,6 +5,11 @@ export * from './core.js';
 export * from './systems.js';
 export * from './hierarchy.js';
 export * from './serialization.js';
+export * from './binary.js';
+export * from './checksum.js';
+export * from './replay.js';
+export * from './rollback.js';
+export * from './persistence.js';
 export * from './crossWorld.js';
 export * from './archetype.js';
 export * from './rng.js';
@@ -0,0 +1,329 @@
+// ecs/persistence.js
+// Save slots over pluggable storage adapters.
+/**
+ * @module ecs/persistence
+ * Save and load worlds by slot name. A slot is two adapter entries: a payload `<slot>.data.<n>` (the
+ * encoded, optionally gzip-compressed snapshot) and `<slot>.meta` (JSON {@link SlotMeta} naming the
+ * payload key). Each save writes a fresh payload key, then the metadata, then removes older payloads,
+ * so a crash mid-save leaves the previous save loadable. Slots written before payloads were numbered
+ * keep theirs under `<slot>.data`.
+ *
+ * Adapters store bytes under string keys. Included: in-memory, Node filesystem, browser localStorage
+ * and IndexedDB. Anything with the same four async methods works.
+ *
+ * Integrity: the metadata carries {@link module:ecs/checksum~hashSnapshot} of the saved state; loadWorld
+ * recomputes it after decoding and throws on mismatch (or if the payload cannot be decoded).
+ *
+ * All functions return promises; compression uses CompressionStream/DecompressionStream when present.
+ *
+ * @example
+ * const adapter = createIndexedDBAdapter('my-game');
+ * await saveWorld(world, 'slot1', { adapter, note: 'Before the boss' });
+ * for (const meta of await listSlots(adapter)) console.log(meta.slot, new Date(meta.savedAt), meta.note);
+ * const world = await loadWorld('slot1', registry, { adapter, World });
+ */
+
+import { serializeWorld, deserializeWorld, applySnapshot } from './serialization.js';
+import { encodeSnapshot, decodeSnapshot } from './binary.js';
+import { hashSnapshot } from './checksum.js';
+
+/**
+ * @typedef {import('./core.js').World} World
+ * @typedef {import('./serialization.js').Snapshot} Snapshot
+ * @typedef {import('./serialization.js').Registry} Registry
+ */
+
+/**
+ * @typedef {object} StorageAdapter
+ * @property {(key:string)=>Promise<Uint8Array|null>} read
+ * @property {(key:string, bytes:Uint8Array)=>Promise<void>} write
+ * @property {(key:string)=>Promise<void>} remove
+ * @property {()=>Promise<string[]>} list - All stored keys.
+ */
+
+/**
+ * @typedef {object} SlotMeta
+ * @property {string} slot
+ * @property {number} savedAt - Date.now() at save time.
+ * @property {number} step
+ * @property {number} time
+ * @property {number} frame
+ * @property {number} entities - Alive entity count.
+ * @property {string} [note]
+ * @property {'binary'|'json'} format
+ * @property {'gzip'|null} compression
+ * @property {number} size - Stored payload size in bytes.
+ * @property {string} [dataKey] - Adapter key of the payload (`<slot>.data` when absent).
+ * @property {string} hash - hashSnapshot of the saved state.
+ */
+
+/** Create an adapter that keeps slots in a Map (tests, or a fallback when nothing persistent exists).
+ * @returns {StorageAdapter & { map:Map<string, Uint8Array> }}
+ */
+export function createMemoryAdapter() {
+  const map = new Map();
+  return {
+    map,
+    async read(key) { const b = map.get(key); return b ? b.slice() : null; },
+    async write(key, bytes) { map.set(key, bytes.slice()); },
+    async remove(key) { map.delete(key); },
+    async list() { return Array.from(map.keys()); }
+  };
+}
+
+/** Create a Node filesystem adapter storing one file per key in `dir` (created on first write).
+ * Writes go to a temporary file that is renamed into place.
+ * @param {string} dir
+ * @returns {StorageAdapter}
+ */
+export function createFsAdapter(dir) {
+  let fsp = null, path = null;
+  const load = async () => {
+    if (!fsp) [fsp, path] = await Promise.all([import('node:fs/promises'), import('node:path')]);
+    return fsp;
+  };
+  const file = (key) => path.join(dir, encodeURIComponent(key));
+  return {
+    async read(key) {
+      const fs = await load();
+      try { return new Uint8Array(await fs.readFile(file(key))); }
+      catch (e) { if (e.code === 'ENOENT') return null; throw e; }
+    },
+    async write(key, bytes) {
+      const fs = await load();
+      await fs.mkdir(dir, { recursive: true });
+      const tmp = file(key) + '.tmp';
+      await fs.writeFile(tmp, bytes);
+      await fs.rename(tmp, file(key));
+    },
+    async remove(key) { const fs = await load(); await fs.rm(file(key), { force: true }); },
+    async list() {
+      const fs = await load();
+      try { return (await fs.readdir(dir)).filter((n) => !n.endsWith('.tmp')).map(decodeURIComponent); }
+      catch (e) { if (e.code === 'ENOENT') return []; throw e; }
+    }
+  };
+}
+
+/** Create a localStorage adapter (bytes stored base64-encoded under `prefix + key`).
+ * Note localStorage is synchronous and small (~5 MB per origin); prefer IndexedDB for large worlds.
+ * @param {string} [prefix='ecs:']
+ * @param {Storage} [storage=globalThis.localStorage]
+ * @returns {StorageAdapter}
+ */
+export function createLocalStorageAdapter(prefix = 'ecs:', storage = globalThis.localStorage) {
+  if (!storage) throw new Error('createLocalStorageAdapter: localStorage is not available');
+  return {
+    async read(key) { const s = storage.getItem(prefix + key); return s == null ? null : _fromBase64(s); },
+    async write(key, bytes) { storage.setItem(prefix + key, _toBase64(bytes)); },
+    async remove(key) { storage.removeItem(prefix + key); },
+    async list() {
+      const out = [];
+      for (let i = 0; i < storage.length; i++) { const k = storage.key(i); if (k?.startsWith(prefix)) out.push(k.slice(prefix.length)); }
+      return out;
+    }
+  };
+}
+
+/** Create an IndexedDB adapter using one object store in database `dbName`.
+ * @param {string} [dbName='ecs-saves']
+ * @param {string} [storeName='slots']
+ * @param {IDBFactory} [idb=globalThis.indexedDB]
+ * @returns {StorageAdapter & { close:()=>Promise<void> }}
+ */
+export function createIndexedDBAdapter(dbName = 'ecs-saves', storeName = 'slots', idb = globalThis.indexedDB) {
+  if (!idb) throw new Error('createIndexedDBAdapter: indexedDB is not available');
+  let opening = null;
+  const db = () => opening ??= new Promise((resolve, reject) => {
+    const req = idb.open(dbName, 1);
+    req.onupgradeneeded = () => { if (!req.result.objectStoreNames.contains(storeName)) req.result.createObjectStore(storeName); };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  const run = async (mode, fn) => {
+    const tx = (await db()).transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = tx.onabort = () => reject(tx.error || req.error);
+    });
+  };
+  return {
+    async read(key) { const v = await run('readonly', (s) => s.get(key)); return v == null ? null : new Uint8Array(v); },
+    async write(key, bytes) { await run('readwrite', (s) => s.put(bytes.slice(), key)); },
+    async remove(key) { await run('readwrite', (s) => s.delete(key)); },
+    async list() { return (await run('readonly', (s) => s.getAllKeys())).map(String); },
+    async close() { if (opening) (await opening).close(); opening = null; }
+  };
+}
+
+let _defaultAdapter = null;
+
+/** Set the adapter used when saveWorld/loadWorld/listSlots/deleteSlot get none. @param {StorageAdapter|null} adapter */
+export function setDefaultAdapter(adapter) { _defaultAdapter = adapter; }
+
+/** The default adapter: the one set via setDefaultAdapter, else IndexedDB, else localStorage, else in-memory.
+ * @returns {StorageAdapter}
+ */
+export function getDefaultAdapter() {
+  if (!_defaultAdapter) {
+    _defaultAdapter = globalThis.indexedDB ? createIndexedDBAdapter()
+      : globalThis.localStorage ? createLocalStorageAdapter()
+      : createMemoryAdapter();
+  }
+  return _defaultAdapter;
+}
+
+/** Whether gzip compression is available in this runtime. @returns {boolean} */
+export function compressionSupported() {
+  return typeof CompressionStream === 'function' && typeof DecompressionStream === 'function';
+}
+
+/** Serialize a world into a slot, replacing what was there.
+ * @param {World} world
+ * @param {string} slot
+ * @param {{ adapter?:StorageAdapter, note?:string, format?:'binary'|'json', compress?:boolean } & Parameters<typeof serializeWorld>[1]} [opts]
+ *   format defaults to 'binary'; compress defaults to true when {@link compressionSupported}.
+ *   Other options (include/exclude) go to serializeWorld.
+ * @returns {Promise<SlotMeta>}
+ */
+export async function saveWorld(world, slot, opts = {}) {
+  _assertSlot(slot, 'saveWorld');
+  const adapter = opts.adapter || getDefaultAdapter();
+  const format = opts.format || 'binary';
+  if (format !== 'binary' && format !== 'json') throw new Error(`saveWorld: unknown format '${format}'`);
+  const compress = opts.compress ?? compressionSupported();
+  if (compress && !compressionSupported()) throw new Error('saveWorld: CompressionStream is not available');
+
+  const snap = serializeWorld(world, opts);
+  let bytes = format === 'binary' ? new Uint8Array(encodeSnapshot(snap)) : new TextEncoder().encode(JSON.stringify(snap));
+  if (compress) bytes = await _pipe(bytes, new CompressionStream('gzip'));
+
+  /** @type {SlotMeta} */
+  const meta = {
+    slot, savedAt: Date.now(),
+    step: snap.meta.step, time: snap.meta.time, frame: snap.meta.frame, entities: snap.alive.length,
+    note: opts.note, format, compression: compress ? 'gzip' : null,
+    size: bytes.length, hash: hashSnapshot(snap)
+  };
+  const old = await _payloadKeys(adapter, slot);
+  meta.dataKey = slot + DATA + '.' + (old.reduce((n, k) => Math.max(n, +k.slice(slot.length + DATA.length + 1) || 0), 0) + 1);
+  await adapter.write(meta.dataKey, bytes);
+  await adapter.write(slot + META, new TextEncoder().encode(JSON.stringify(meta)));
+  try { for (const key of old) await adapter.remove(key); }
+  catch (e) { console.warn(`[ecs] saveWorld: could not remove an old payload of slot '${slot}'`, e); }
+  return meta;
+}
+
+/** Load a slot into a new world (or into `opts.world` with applySnapshot).
+ * @param {string} slot
+ * @param {Registry} registry
+ * @param {{ adapter?:StorageAdapter, world?:World, verify?:boolean } & Parameters<typeof deserializeWorld>[2]} [opts]
+ *   verify (default true) checks the decoded state against the saved hash. Other options go to
+ *   deserializeWorld/applySnapshot (World, mode, skipUnknown, migrations, ...).
+ * @returns {Promise<World>}
+ * @throws {Error} if the slot does not exist or fails the integrity check.
+ */
+export async function loadWorld(slot, registry, opts = {}) {
+  const snap = await loadSnapshot(slot, opts);
+  return opts.world ? applySnapshot(opts.world, snap, registry, opts) : deserializeWorld(snap, registry, opts);
+}
+
+/** Read and verify a slot's snapshot without building a world.
+ * @param {string} slot
+ * @param {{ adapter?:StorageAdapter, verify?:boolean }} [opts]
+ * @returns {Promise<Snapshot>}
+ */
+export async function loadSnapshot(slot, opts = {}) {
+  _assertSlot(slot, 'loadWorld');
+  const adapter = opts.adapter || getDefaultAdapter();
+  const meta = await readSlotMeta(slot, adapter);
+  if (!meta) throw new Error(`loadWorld: slot '${slot}' not found`);
+  let bytes = await adapter.read(meta.dataKey ?? slot + DATA);
+  if (!bytes) throw new Error(`loadWorld: slot '${slot}' has no data`);
+
+  let snap;
+  try {
+    if (meta.compression === 'gzip') {
+      if (!compressionSupported()) throw new Error('DecompressionStream is not available');
+      bytes = await _pipe(bytes, new DecompressionStream('gzip'));
+    }
+    snap = meta.format === 'json' ? JSON.parse(new TextDecoder().decode(bytes)) : decodeSnapshot(bytes);
+  } catch (e) {
+    throw new Error(`loadWorld: slot '${slot}' is corrupt (${e.message})`);
+  }
+  if (opts.verify !== false && hashSnapshot(snap) !== meta.hash) {
+    throw new Error(`loadWorld: slot '${slot}' failed its integrity check`);
+  }
+  return snap;
+}
+
+/** Metadata of one slot, or null if it does not exist.
+ * @param {string} slot
+ * @param {StorageAdapter} [adapter]
+ * @returns {Promise<SlotMeta|null>}
+ */
+export async function readSlotMeta(slot, adapter = getDefaultAdapter()) {
+  const raw = await adapter.read(slot + META);
+  if (!raw) return null;
+  try { return JSON.parse(new TextDecoder().decode(raw)); }
+  catch { throw new Error(`readSlotMeta: slot '${slot}' has unreadable metadata`); }
+}
+
+/** Metadata of every slot, most recently saved first. Slots with unreadable metadata are skipped with a warning.
+ * @param {StorageAdapter} [adapter]
+ * @returns {Promise<SlotMeta[]>}
+ */
+export async function listSlots(adapter = getDefaultAdapter()) {
+  const out = [];
+  for (const key of await adapter.list()) {
+    if (!key.endsWith(META)) continue;
+    try { const meta = await readSlotMeta(key.slice(0, -META.length), adapter); if (meta) out.push(meta); }
+    catch (e) { console.warn('[ecs] listSlots:', e.message); }
+  }
+  return out.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/** Delete a slot (no-op if missing).
+ * @param {string} slot
+ * @param {StorageAdapter} [adapter]
+ * @returns {Promise<void>}
+ */
+export async function deleteSlot(slot, adapter = getDefaultAdapter()) {
+  _assertSlot(slot, 'deleteSlot');
+  const keys = await _payloadKeys(adapter, slot);
+  await adapter.remove(slot + META);
+  for (const key of keys) await adapter.remove(key);
+}
+
+/* internals */
+const META = '.meta', DATA = '.data';
+
+/** Every payload key of a slot: `<slot>.data` and `<slot>.data.<n>`, including ones orphaned by a crash. @private */
+async function _payloadKeys(adapter, slot) {
+  const base = slot + DATA;
+  return (await adapter.list()).filter((k) => k === base || (k.startsWith(base + '.') && /^\d+$/.test(k.slice(base.length + 1))));
+}
+
+/** @private */
+function _assertSlot(slot, fn) { if (typeof slot !== 'string' || !slot) throw new Error(`${fn}: slot must be a non-empty string`); }
+
+/** Run bytes through a (de)compression stream. @private */
+async function _pipe(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/** @private */
+function _toBase64(bytes) {
+  let s = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  return btoa(s);
+}
+/** @private */
+function _fromBase64(s) {
+  const bin = atob(s);
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
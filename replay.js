@@ -0,0 +1,223 @@
+// ecs/replay.js
+// Input recording and deterministic replay.
+/**
+ * @module ecs/replay
+ * Record a session as an initial snapshot plus, per tick, the dt, the inputs injected before it and
+ * the events the world emitted during it; play it back by re-driving world.tick.
+ *
+ * Inputs are delivered through the world's event bus: `recorder.input(type, payload)` queues an input,
+ * and it is emitted with `world.emit(type, payload)` right before the next tick, both while recording and
+ * during playback. Game code subscribes with `world.on(type, ...)` as usual.
+ *
+ * Systems, schedulers and event handlers are code, not data, so the player takes a `setup(world)`
+ * callback that installs them on the world it rebuilds.
+ *
+ * Keyframes (every N ticks) are full snapshots used by `player.seek`. The initial state and every keyframe
+ * also store the world's change-detection state ({@link module:ecs/core~World#changeState}), so playback
+ * from any of them sees the same Changed/Added/Removed windows as the original run; the recorded world
+ * itself is left untouched. Per-system windows are matched by phase and position in `world.systems`.
+ *
+ * @example
+ * const rec = createRecorder(world, { keyframeEvery: 300, events: ['hit'] });
+ * rec.input('move', { dx: 1 });
+ * rec.tick(1 / 60);
+ * save(JSON.stringify(rec.recording));
+ *
+ * const player = createPlayer(recording, { registry, World, setup: installSystems });
+ * player.seek(1200);
+ */
+
+import { serializeWorld, deserializeWorld, applySnapshot, encodeRecord, decodeRecord } from './serialization.js';
+import { hashWorld } from './checksum.js';
+import { defaultRegistry } from './systems.js';
+
+/**
+ * @typedef {import('./core.js').World} World
+ * @typedef {import('./serialization.js').Snapshot} Snapshot
+ * @typedef {import('./serialization.js').Registry} Registry
+ */
+
+/**
+ * @typedef {object} ReplayFrame
+ * @property {number} dt
+ * @property {Array<[string, any]>} inputs - Inputs emitted before the tick, in order.
+ * @property {Array<[string, any]>} [events] - Recorded events emitted during the tick.
+ * @property {string} [hash] - hashWorld after the tick (when recorded with checksums).
+ */
+
+/**
+ * @typedef {object} Recording
+ * @property {1} v
+ * @property {Snapshot} initial
+ * @property {ChangeState} [changes] - Change-detection state at the start.
+ * @property {string[]} events - Event names captured per frame.
+ * @property {ReplayFrame[]} frames
+ * @property {Array<{ frame:number, snap:Snapshot, changes?:ChangeState }>} keyframes - State after `frame` frames.
+ */
+
+/**
+ * JSON form of {@link module:ecs/core~World#changeState}: components by name, removed records encoded,
+ * systems keyed as `phase#index` in `world.systems`.
+ * @typedef {object} ChangeState
+ */
+
+/**
+ * Start recording a world. The initial snapshot is taken immediately.
+ * @param {World} world
+ * @param {{ keyframeEvery?:number, events?:string[], checksums?:boolean }} [opts]
+ *   keyframeEvery: ticks between keyframes (0 = none); events: emitted event names to capture;
+ *   checksums: store hashWorld per frame so playback can detect desyncs.
+ * @returns {{ recording:Recording, input:(type:string, payload?:any)=>void, tick:(dt:number)=>void, stop:()=>Recording }}
+ */
+export function createRecorder(world, opts = {}) {
+  const every = Math.max(0, opts.keyframeEvery | 0);
+  const eventNames = Array.from(opts.events || []);
+  /** @type {Recording} */
+  const recording = { v: 1, initial: serializeWorld(world), changes: _saveChanges(world), events: eventNames, frames: [], keyframes: [] };
+  let pending = [];
+  let captured = null;
+  const offs = eventNames.map((name) => world.on(name, (payload) => { if (captured) captured.push([name, _plain(payload)]); }));
+  let stopped = false;
+
+  return {
+    recording,
+    /** Queue an input for the next tick. */
+    input(type, payload) {
+      if (stopped) throw new Error('recorder: stopped');
+      pending.push([String(type), _plain(payload)]);
+    },
+    /** Emit queued inputs, tick the world and record the frame. */
+    tick(dt) {
+      if (stopped) throw new Error('recorder: stopped');
+      const frame = { dt, inputs: pending };
+      pending = [];
+      for (const [type, payload] of frame.inputs) world.emit(type, _plain(payload));
+      captured = eventNames.length ? [] : null;
+      try { world.tick(dt); }
+      finally { if (captured) frame.events = captured; captured = null; }
+      if (opts.checksums) frame.hash = hashWorld(world);
+      recording.frames.push(frame);
+      if (every && recording.frames.length % every === 0) {
+        recording.keyframes.push({ frame: recording.frames.length, snap: serializeWorld(world), changes: _saveChanges(world) });
+      }
+    },
+    /** Stop capturing events and return the recording. Queued inputs that never reached a tick are dropped. */
+    stop() {
+      if (!stopped) { stopped = true; for (const off of offs) off(); }
+      return recording;
+    }
+  };
+}
+
+/**
+ * Play a recording back on a rebuilt world.
+ * @param {Recording} recording
+ * @param {{ registry:Registry, World?:Function, setup?:(world:World)=>void, onDesync?:(info:{ frame:number, reason:string, expected:any, actual:any })=>void }} opts
+ *   onDesync defaults to throwing; it fires when a recorded checksum or event list does not match.
+ * @returns {{ world:World, readonly frame:number, readonly length:number, stepForward:()=>boolean, seek:(frame:number)=>void, playToEnd:()=>void }}
+ */
+export function createPlayer(recording, opts) {
+  if (!recording || recording.v !== 1 || !Array.isArray(recording.frames)) throw new Error('createPlayer: invalid recording');
+  const registry = opts.registry;
+  const onDesync = opts.onDesync || ((info) => { throw new Error(`replay: desync at frame ${info.frame} (${info.reason})`); });
+  const world = deserializeWorld(recording.initial, registry, { World: opts.World });
+  if (opts.setup) opts.setup(world);
+  const restoreChanges = (changes) => {
+    if (changes) _restoreChanges(world, changes, registry);
+    else world.clearChangeHistory(); // recordings made before change state was stored
+  };
+  restoreChanges(recording.changes);
+
+  const eventNames = recording.events || [];
+  let captured = null;
+  for (const name of eventNames) world.on(name, (payload) => { if (captured) captured.push([name, _plain(payload)]); });
+  let frame = 0;
+
+  const load = (snap, changes, at) => {
+    applySnapshot(world, snap, registry, { mode: 'replace' });
+    restoreChanges(changes);
+    frame = at;
+  };
+
+  const player = {
+    world,
+    /** Frames applied so far (0 = initial state). */
+    get frame() { return frame; },
+    /** Total recorded frames. */
+    get length() { return recording.frames.length; },
+    /** Replay the next frame; false at the end of the recording. */
+    stepForward() {
+      const f = recording.frames[frame];
+      if (!f) return false;
+      for (const [type, payload] of f.inputs) world.emit(type, _plain(payload));
+      captured = eventNames.length ? [] : null;
+      try { world.tick(f.dt); }
+      finally { frame++; }
+      const events = captured; captured = null;
+      if (f.events && JSON.stringify(events) !== JSON.stringify(f.events)) onDesync({ frame, reason: 'events', expected: f.events, actual: events });
+      if (f.hash) { const h = hashWorld(world); if (h !== f.hash) onDesync({ frame, reason: 'checksum', expected: f.hash, actual: h }); }
+      return true;
+    },
+    /** Move to the state after `target` frames, restoring the nearest keyframe at or before it when that saves work. */
+    seek(target) {
+      const to = Math.max(0, Math.min(recording.frames.length, target | 0));
+      let best = null;
+      for (const k of recording.keyframes) if (k.frame <= to && (!best || k.frame > best.frame)) best = k;
+      if (to < frame || (best && best.frame > frame)) {
+        if (best) load(best.snap, best.changes, best.frame);
+        else load(recording.initial, recording.changes, 0);
+      }
+      while (frame < to) player.stepForward();
+    },
+    /** Replay all remaining frames. */
+    playToEnd() { while (player.stepForward()); }
+  };
+  return player;
+}
+
+/** Systems of world.systems keyed by phase and position, plus defaultRegistry phases runSystems falls back to. @private */
+function _systemKeys(world) {
+  const keys = new Map(); // fn -> 'phase#index'
+  const reg = world.systems;
+  if (reg) for (const phase of reg.phases()) reg.ordered(phase).forEach((fn, i) => { if (!keys.has(fn)) keys.set(fn, `${phase}#${i}`); });
+  for (const phase of defaultRegistry.phases()) {
+    if (reg && reg !== defaultRegistry && reg.ordered(phase).length) continue;
+    defaultRegistry.ordered(phase).forEach((fn, i) => { if (!keys.has(fn)) keys.set(fn, `${phase}#${i}`); });
+  }
+  return keys;
+}
+
+/** JSON form of world.changeState(). Systems outside world.systems are left out. @private */
+function _saveChanges(world) {
+  const st = world.changeState();
+  const keys = _systemKeys(world);
+  const marks = (list) => Object.fromEntries(list.map(([C, rows]) => [C.name, rows]));
+  return {
+    changeTick: st.changeTick, lastTickEnd: st.lastTickEnd, since: st.since,
+    changed: marks(st.changed), added: marks(st.added),
+    removed: Object.fromEntries(st.removed.map(([C, rows]) => [C.name, rows.map(([id, tick, rec]) => [id, tick, rec == null ? null : encodeRecord(C, rec)])])),
+    resources: Object.fromEntries(st.resources.map(([R, tick]) => [R.name, tick])),
+    systemRuns: st.systemRuns.filter(([fn]) => keys.has(fn)).map(([fn, run]) => [keys.get(fn), run])
+  };
+}
+
+/** Inverse of _saveChanges against the player's registry and systems. @private */
+function _restoreChanges(world, changes, registry) {
+  const comps = registry instanceof Map ? registry : new Map(Object.entries(registry));
+  const fns = new Map(Array.from(_systemKeys(world), ([fn, key]) => [key, fn]));
+  const marks = (obj, map) => {
+    const out = [];
+    for (const [name, rows] of Object.entries(obj || {})) { const C = comps.get(name); if (C) out.push([C, map ? rows.map(map(C)) : rows]); }
+    return out;
+  };
+  world.restoreChangeState({
+    changeTick: changes.changeTick, lastTickEnd: changes.lastTickEnd, since: changes.since,
+    changed: marks(changes.changed), added: marks(changes.added),
+    removed: marks(changes.removed, (C) => ([id, tick, rec]) => [id, tick, rec == null ? rec : decodeRecord(C, rec)]),
+    resources: marks(changes.resources),
+    systemRuns: changes.systemRuns.filter(([key]) => fns.has(key)).map(([key, run]) => [fns.get(key), run])
+  });
+}
+
+/** JSON-safe copy of an input or event payload. @private */
+function _plain(x) { return (x && typeof x === 'object') ? JSON.parse(JSON.stringify(x)) : x; }
@@ -1,44 +1,199 @@
 // ecs-js/rng.js
-// Deterministic RNG utilities built around mulberry32
+// Deterministic RNG utilities (mulberry32 by default; xoshiro128**, PCG32 and sfc32 selectable)
 // Exports:
-// - mulberry32(seed): () => float [0,1)
-// - createRng(seed): object with bound helpers (next, float, int, choice, shuffle, shuffleInPlace, normal)
+// - mulberry32(seed), xoshiro128ss(seed), pcg32(seed), sfc32(seed): () => float [0,1), with getState()/setState()
+// - GENERATORS / makeGenerator(name, seed): generator lookup by algorithm name
+// - createRng(seed, algorithm?): object with bound helpers (next, float, int, intUnbiased, choice, weightedChoice,
+//   sample, weightedSample, shuffle, shuffleInPlace, normal, getState, setState, fork)
 // - seedFromString(str): 32-bit FNV-1a hash for stable seeding
-// - Helper fns operating on a generator: rngFloat, rngInt, rngChoice, rngShuffle, rngShuffleInPlace
+// - deriveSeed(seed, label): child seed for an independent labelled sub-stream
+// - Helper fns operating on a generator: rngFloat, rngInt, rngIntUnbiased, rngChoice, rngWeightedChoice,
+//   rngSample, rngWeightedSample, rngShuffle, rngShuffleInPlace, createAliasTable
+// - Dice: roll(rng, '4d6 drop lowest'), rollTable(rng, dice, rows), parseDice(expr)
+// - Noise: createNoise(seed|string|rng) with value/Perlin/simplex 2D/3D and fBm
+
+/**
+ * @typedef {(() => number) & { getState: () => number, setState: (state:number) => void }} Mulberry32
+ */
 
 /**
  * Create a mulberry32 PRNG from a 32-bit integer seed.
+ * The returned function carries getState()/setState() exposing its 32-bit counter, so a
+ * generator can be saved and resumed exactly.
  * @param {number} seed - 32-bit integer seed
- * @returns {() => number} A function returning floats in [0,1)
+ * @returns {Mulberry32} A function returning floats in [0,1)
  */
 export function mulberry32(seed) {
   let t = seed >>> 0;
-  return function () {
-    t += 0x6D2B79F5;
+  const gen = function () {
+    t = (t + 0x6D2B79F5) >>> 0;
     let r = Math.imul(t ^ (t >>> 15), 1 | t);
     r ^= r + Math.imul(r ^ (r >>> 7), r | 61);
     return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
   };
+  gen.getState = () => t;
+  gen.setState = (state) => { t = state >>> 0; };
+  return gen;
+}
+
+/**
+ * @typedef {(() => number) & { getState: () => any, setState: (state:any) => void }} Generator
+ */
+
+/** @private splitmix32: expands a 32-bit seed into well-mixed state words. */
+function _splitmix32(seed) {
+  let s = seed >>> 0;
+  return () => {
+    s = (s + 0x9E3779B9) >>> 0;
+    let z = s;
+    z = Math.imul(z ^ (z >>> 16), 0x85EBCA6B);
+    z = Math.imul(z ^ (z >>> 13), 0xC2B2AE35);
+    return (z ^ (z >>> 16)) >>> 0;
+  };
+}
+
+/**
+ * xoshiro128** (period 2^128 - 1). State is seeded from the 32-bit seed via splitmix32.
+ * @param {number} seed
+ * @returns {Generator} getState() returns the four 32-bit state words.
+ */
+export function xoshiro128ss(seed) {
+  const sm = _splitmix32(seed);
+  let a = sm(), b = sm(), c = sm(), d = sm();
+  if (!(a | b | c | d)) a = 1; // the all-zero state is a fixed point
+  const gen = function () {
+    const r = Math.imul(_rotl(Math.imul(b, 5), 7), 9) >>> 0;
+    const t = b << 9;
+    c ^= a; d ^= b; b ^= c; a ^= d; c ^= t; d = _rotl(d, 11);
+    return r / 4294967296;
+  };
+  gen.getState = () => [a >>> 0, b >>> 0, c >>> 0, d >>> 0];
+  gen.setState = (state) => { [a, b, c, d] = state.map((x) => x | 0); };
+  return gen;
+}
+
+/**
+ * PCG32 (XSH RR, 64-bit LCG state, period 2^64), seeded like pcg32_srandom(seed, stream).
+ * 64-bit arithmetic is done on 32-bit halves so results match the reference implementation.
+ * @param {number} seed
+ * @param {number} [stream=0] - Selects one of 2^32 distinct sequences.
+ * @returns {Generator} getState() returns [stateHi, stateLo, incHi, incLo].
+ */
+export function pcg32(seed, stream = 0) {
+  let sh = 0, sl = 0;
+  // Odd increment (stream << 1) | 1, as a 64-bit value
+  let incH = (stream >>> 0) >>> 31, incL = (((stream >>> 0) << 1) | 1) >>> 0;
+  const step = () => {
+    const oh = sh, ol = sl;
+    [sh, sl] = _mul64(sh, sl, 0x5851F42D, 0x4C957F2D);
+    [sh, sl] = _add64(sh, sl, incH, incL);
+    // xorshifted = ((old >> 18) ^ old) >> 27, truncated to 32 bits; rot = old >> 59
+    const xh = (oh >>> 18) ^ oh, xl = (((ol >>> 18) | (oh << 14)) ^ ol) >>> 0;
+    const x = ((xl >>> 27) | (xh << 5)) >>> 0, rot = oh >>> 27;
+    return ((x >>> rot) | (x << ((32 - rot) & 31))) >>> 0;
+  };
+  step();
+  [sh, sl] = _add64(sh, sl, 0, seed >>> 0);
+  step();
+  const gen = function () { return step() / 4294967296; };
+  gen.getState = () => [sh, sl, incH, incL];
+  gen.setState = (state) => { [sh, sl, incH, incL] = state.map((x) => x >>> 0); };
+  return gen;
+}
+
+/**
+ * sfc32 (Small Fast Chaotic, 128-bit state with a counter; minimum period 2^32).
+ * @param {number} seed
+ * @returns {Generator} getState() returns [a, b, c, counter].
+ */
+export function sfc32(seed) {
+  const sm = _splitmix32(seed);
+  let a = sm() | 0, b = sm() | 0, c = sm() | 0, d = 1;
+  const gen = function () {
+    const t = (((a + b) | 0) + d) | 0;
+    d = (d + 1) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = _rotl(c, 21);
+    c = (c + t) | 0;
+    return (t >>> 0) / 4294967296;
+  };
+  for (let i = 0; i < 12; i++) gen(); // warm up away from the seeding pattern
+  gen.getState = () => [a >>> 0, b >>> 0, c >>> 0, d >>> 0];
+  gen.setState = (state) => { [a, b, c, d] = state.map((x) => x | 0); };
+  return gen;
+}
+
+/** Generator factories by algorithm name (as accepted by `new World({ rng })` and createRng). */
+export const GENERATORS = Object.freeze({ mulberry32, xoshiro128: xoshiro128ss, pcg32, sfc32 });
+
+/**
+ * Create a generator by algorithm name.
+ * @param {string} name - 'mulberry32' | 'xoshiro128' | 'pcg32' | 'sfc32'
+ * @param {number} seed
+ * @returns {Generator}
+ */
+export function makeGenerator(name, seed) {
+  const make = GENERATORS[name];
+  if (typeof make !== 'function') throw new Error(`makeGenerator: unknown RNG algorithm '${name}' (expected ${Object.keys(GENERATORS).join(', ')})`);
+  return make(seed >>> 0);
+}
+
+/** @private */
+function _rotl(x, k) { return (x << k) | (x >>> (32 - k)); }
+/** @private Low 64 bits of a 64x64 product, operands and result as [hi, lo] uint32 halves. */
+function _mul64(ah, al, bh, bl) {
+  const a0 = al & 0xFFFF, a1 = al >>> 16, b0 = bl & 0xFFFF, b1 = bl >>> 16;
+  const p00 = a0 * b0, p01 = a0 * b1, p10 = a1 * b0, p11 = a1 * b1;
+  const mid = (p00 >>> 16) + (p01 & 0xFFFF) + (p10 & 0xFFFF);
+  const lo = ((mid << 16) | (p00 & 0xFFFF)) >>> 0;
+  const hi = p11 + (p01 >>> 16) + (p10 >>> 16) + (mid >>> 16) + Math.imul(ah, bl) + Math.imul(al, bh);
+  return [hi >>> 0, lo];
+}
+/** @private */
+function _add64(ah, al, bh, bl) {
+  const lo = al + bl;
+  return [(ah + bh + (lo > 0xFFFFFFFF ? 1 : 0)) >>> 0, lo >>> 0];
 }
 
+/**
+ * @typedef {{ gen: any, spare: number|null }} RngState
+ */
+
 /**
  * Convenience: create an RNG object with common helpers bound.
- * Includes a Box–Muller normal() with internal spare caching.
+ * Includes a Box–Muller normal() with internal spare caching; getState()/setState()
+ * capture both the generator and the spare, so normal() resumes exactly too.
+ * fork(label) derives an independent stream from this RNG's seed (not its current position),
+ * so draws on one stream never shift another, and uses the same algorithm.
  * @param {number} seed
+ * @param {string} [algorithm='mulberry32'] - Key of {@link GENERATORS}.
  */
-export function createRng(seed) {
-  const gen = mulberry32(seed >>> 0);
+export function createRng(seed, algorithm = 'mulberry32') {
+  const gen = makeGenerator(algorithm, seed);
   let spare = null; // cached normal deviate
   return {
     seed: seed >>> 0,
+    algorithm,
     // core
     next: gen,
+    /** Snapshot of generator state plus the cached normal spare (JSON-safe). @returns {RngState} */
+    getState: () => ({ gen: gen.getState(), spare }),
+    /** Restore a state captured by getState(). @param {RngState} state */
+    setState(state) { gen.setState(state.gen); spare = state.spare ?? null; },
+    /** Independent child stream for a label. @param {string} label */
+    fork: (label) => createRng(deriveSeed(seed, label), algorithm),
     // helpers
     float: (a = 0, b = 1) => rngFloat(gen, a, b),
     int: (a, b) => rngInt(gen, a, b),
+    intUnbiased: (a, b) => rngIntUnbiased(gen, a, b),
     choice: (arr) => rngChoice(gen, arr),
+    weightedChoice: (items, weights) => rngWeightedChoice(gen, items, weights),
+    sample: (arr, k) => rngSample(gen, arr, k),
+    weightedSample: (items, weights, k) => rngWeightedSample(gen, items, weights, k),
     shuffle: (arr) => rngShuffle(gen, arr),
     shuffleInPlace: (arr) => rngShuffleInPlace(gen, arr),
+    roll: (expr) => roll(gen, expr),
     /**
      * Normal (Gaussian) deviate using Box–Muller transform.
      * Deterministic given seed and call order.
@@ -75,6 +230,21 @@ export function seedFromString(str) {
   return h >>> 0;
 }
 
+/**
+ * Derive a child seed from a parent seed and a label (FNV-1a of the label, then a murmur3 finalizer).
+ * Stable across runs and platforms; distinct labels give uncorrelated seeds.
+ * @param {number} seed
+ * @param {string} label
+ * @returns {number}
+ */
+export function deriveSeed(seed, label) {
+  let h = (seed >>> 0) ^ Math.imul(seedFromString(String(label)), 0x9E3779B1);
+  h ^= h >>> 16; h = Math.imul(h, 0x85EBCA6B);
+  h ^= h >>> 13; h = Math.imul(h, 0xC2B2AE35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
 // ===== Generator-based helpers =====
 
 /** @param {() => number} rng @param {number} [a=0] @param {number} [b=1] */
@@ -89,12 +259,107 @@ export function rngInt(rng, a, b) {
   return lo + Math.floor(rng() * (hi - lo + 1));
 }
 
+/**
+ * Inclusive int in [a,b] without modulo bias: draws 32-bit values and rejects the
+ * uneven tail, so every outcome is exactly equally likely. Range must fit in 2^32.
+ * @param {() => number} rng @param {number} a @param {number} b
+ */
+export function rngIntUnbiased(rng, a, b) {
+  const lo = Math.ceil(a);
+  const n = Math.floor(b) - lo + 1;
+  if (!(n >= 1)) throw new Error('rngIntUnbiased: empty range');
+  if (n > 4294967296) throw new Error('rngIntUnbiased: range exceeds 2^32');
+  const limit = 4294967296 - (4294967296 % n);
+  let u;
+  do { u = Math.floor(rng() * 4294967296); } while (u >= limit);
+  return lo + (u % n);
+}
+
 /** @param {() => number} rng @param {any[]} arr */
 export function rngChoice(rng, arr) {
   if (!arr || arr.length === 0) return undefined;
   return arr[Math.floor(rng() * arr.length)];
 }
 
+/**
+ * Pick one item with probability proportional to its weight. Weights default to `item.weight`.
+ * Returns undefined when no item has positive weight.
+ * @param {() => number} rng @param {any[]} items @param {number[]} [weights]
+ */
+export function rngWeightedChoice(rng, items, weights) {
+  const w = _weightsOf(items, weights);
+  let total = 0;
+  for (const x of w) total += x;
+  if (!(total > 0)) return undefined;
+  let r = rng() * total;
+  let last = -1;
+  for (let i = 0; i < w.length; i++) {
+    if (w[i] <= 0) continue;
+    last = i;
+    if ((r -= w[i]) < 0) return items[i];
+  }
+  return items[last]; // floating-point remainder lands on the last eligible item
+}
+
+/**
+ * k distinct elements chosen uniformly (partial Fisher–Yates on a copy), in draw order.
+ * @param {() => number} rng @param {any[]} arr @param {number} k
+ */
+export function rngSample(rng, arr, k) {
+  const out = arr.slice();
+  const n = Math.min(Math.max(0, k | 0), out.length);
+  for (let i = 0; i < n; i++) {
+    const j = i + Math.floor(rng() * (out.length - i));
+    const tmp = out[i]; out[i] = out[j]; out[j] = tmp;
+  }
+  out.length = n;
+  return out;
+}
+
+/**
+ * k distinct items drawn without replacement, weighted (Efraimidis–Spirakis keys u^(1/w)).
+ * Items with non-positive weight are never drawn. Weights default to `item.weight`.
+ * @param {() => number} rng @param {any[]} items @param {number[]|undefined} weights @param {number} k
+ */
+export function rngWeightedSample(rng, items, weights, k) {
+  const w = _weightsOf(items, weights);
+  const keyed = [];
+  for (let i = 0; i < items.length; i++) if (w[i] > 0) keyed.push([Math.log(rng()) / w[i], i]);
+  keyed.sort((x, y) => (y[0] - x[0]) || (x[1] - y[1]));
+  return keyed.slice(0, Math.max(0, k | 0)).map(([, i]) => items[i]);
+}
+
+/**
+ * Precompute a Vose alias table for O(1) repeated weighted sampling.
+ * @param {number[]} weights - Non-negative weights (at least one positive).
+ * @param {any[]} [items] - Values returned by sample(); defaults to indices.
+ * @returns {{ size:number, sampleIndex:(rng:() => number)=>number, sample:(rng:() => number)=>any }}
+ */
+export function createAliasTable(weights, items) {
+  const n = weights.length;
+  let total = 0;
+  for (const x of weights) { if (!(x >= 0)) throw new Error('createAliasTable: weights must be non-negative numbers'); total += x; }
+  if (!(total > 0)) throw new Error('createAliasTable: total weight must be positive');
+  const prob = new Float64Array(n), alias = new Int32Array(n);
+  const scaled = weights.map((x) => (x * n) / total);
+  const small = [], large = [];
+  for (let i = n - 1; i >= 0; i--) (scaled[i] < 1 ? small : large).push(i);
+  while (small.length && large.length) {
+    const s = small.pop(), l = large.pop();
+    prob[s] = scaled[s]; alias[s] = l;
+    scaled[l] = (scaled[l] + scaled[s]) - 1;
+    (scaled[l] < 1 ? small : large).push(l);
+  }
+  for (const i of large) { prob[i] = 1; alias[i] = i; }
+  for (const i of small) { prob[i] = 1; alias[i] = i; } // only reachable through rounding
+  const sampleIndex = (rng) => { const i = Math.floor(rng() * n); return rng() < prob[i] ? i : alias[i]; };
+  return Object.freeze({
+    size: n,
+    sampleIndex,
+    sample: (rng) => { const i = sampleIndex(rng); return items ? items[i] : i; }
+  });
+}
+
 /** Non-mutating Fisher–Yates. @param {() => number} rng @param {any[]} array */
 export function rngShuffle(rng, array) {
   const out = array.slice();
@@ -114,6 +379,372 @@ export function rngShuffleInPlace(rng, array) {
   return array;
 }
 
+// ===== Dice notation =====
+
+/**
+ * @typedef {{ value:number, kept:boolean, exploded:boolean }} DieRoll
+ * @typedef {{ notation:string, sides:number, rolls:DieRoll[], total:number }} DiceGroup
+ * @typedef {{ expr:string, total:number, dice:DiceGroup[], discarded?:{ total:number, dice:DiceGroup[] } }} RollResult
+ */
+
+/**
+ * Roll a dice expression and return the total plus a per-die breakdown (e.g. for combat logs).
+ *
+ * Grammar (case-insensitive, whitespace ignored between tokens):
+ * - `NdM`, `dM`, `d%` (= d100); N defaults to 1
+ * - keep/drop suffixes: `kh2` / `k2`, `kl1`, `dh1`, `dl1` / `d1`, or words `keep highest 3`, `drop lowest`
+ *   (the count defaults to 1 and applies after explosions)
+ * - `!` explodes: a die showing its maximum adds another die (capped at 100 extra dice per group)
+ * - arithmetic: `+ - * /` with parentheses; `/` rounds down
+ * - trailing `adv` / `dis` (or `advantage` / `disadvantage`) rolls the whole expression twice and keeps
+ *   the higher / lower total; the other roll is reported as `discarded`
+ *
+ * Dice are drawn with {@link rngIntUnbiased}, so results are deterministic for a given generator state.
+ * @param {(() => number)|{ next: () => number }} rng - Generator function or createRng object (e.g. world.rand).
+ * @param {string} expr - e.g. "3d6+2", "1d20 adv", "4d6 drop lowest", "2d6!"
+ * @returns {RollResult}
+ * @throws {Error} on malformed expressions.
+ */
+export function roll(rng, expr) {
+  const gen = typeof rng === 'function' ? rng : rng.next;
+  const { ast, adv } = parseDice(expr);
+  const first = _evalRoll(gen, ast);
+  if (!adv) return { expr, ...first };
+  const second = _evalRoll(gen, ast);
+  const pickFirst = adv > 0 ? first.total >= second.total : first.total <= second.total;
+  const [kept, other] = pickFirst ? [first, second] : [second, first];
+  return { expr, ...kept, discarded: other };
+}
+
+/**
+ * Roll on a table of ranged rows, e.g. `rollTable(rng, '1d6', [['1-2', 'goblin'], ['3-5', 'orc'], [6, 'troll']])`.
+ * Ranges are a number, an inclusive 'lo-hi' string or a [lo, hi] pair; the first matching row wins.
+ * @param {(() => number)|{ next: () => number }} rng
+ * @param {string} dice - Dice expression producing the table index.
+ * @param {Array<[number|string|[number, number], any]>} rows
+ * @returns {{ roll:RollResult, total:number, value:any }} value is undefined when no row matches.
+ */
+export function rollTable(rng, dice, rows) {
+  const r = roll(rng, dice);
+  for (const [range, value] of rows) {
+    const [lo, hi] = _parseRange(range);
+    if (r.total >= lo && r.total <= hi) return { roll: r, total: r.total, value };
+  }
+  return { roll: r, total: r.total, value: undefined };
+}
+
+/**
+ * Parse a dice expression into an AST without rolling (see {@link roll} for the grammar).
+ * @param {string} expr
+ * @returns {{ ast:object, adv:-1|0|1 }}
+ */
+export function parseDice(expr) {
+  const toks = _tokenizeDice(String(expr));
+  let i = 0;
+  const peek = () => toks[i];
+  const take = () => toks[i++];
+  const fail = (msg) => { throw new Error(`roll: ${msg} in '${expr}'`); };
+  const isNum = (t) => typeof t === 'number';
+
+  const sum = () => {
+    let node = product();
+    while (peek() === '+' || peek() === '-') node = { op: take(), a: node, b: product() };
+    return node;
+  };
+  const product = () => {
+    let node = unary();
+    while (peek() === '*' || peek() === '/') node = { op: take(), a: node, b: unary() };
+    return node;
+  };
+  const unary = () => {
+    if (peek() === '-') { take(); return { op: 'neg', a: unary() }; }
+    if (peek() === '+') { take(); return unary(); }
+    return primary();
+  };
+  const primary = () => {
+    const t = peek();
+    if (t === '(') { take(); const node = sum(); if (take() !== ')') fail('expected )'); return node; }
+    if (t === 'd') return dice(1);
+    if (isNum(t)) { take(); return peek() === 'd' ? dice(t) : { num: t }; }
+    return fail(t === undefined ? 'unexpected end' : `unexpected '${t}'`);
+  };
+  const dice = (count) => {
+    take(); // 'd'
+    let sides;
+    if (peek() === '%') { take(); sides = 100; }
+    else if (isNum(peek())) sides = take();
+    else fail('expected die size');
+    if (count < 1 || sides < 1) fail('dice count and size must be positive');
+    if (count > 10000) fail('too many dice');
+    const node = { count, sides, keep: null, explode: false };
+    const amount = () => isNum(peek()) ? take() : 1;
+    for (;;) {
+      const m = peek();
+      if (m === '!') { take(); if (sides === 1) fail('d1 cannot explode'); node.explode = true; }
+      else if (m === 'k' || m === 'kh' || m === 'kl' || m === 'dh' || m === 'dl' || m === 'd') {
+        take(); node.keep = [m === 'k' ? 'kh' : m === 'd' ? 'dl' : m, amount()];
+      }
+      else if (m === 'drop' || m === 'keep') {
+        take();
+        const which = take();
+        if (which !== 'lowest' && which !== 'highest') fail(`expected 'lowest' or 'highest' after '${m}'`);
+        node.keep = [m[0] + (which === 'highest' ? 'h' : 'l'), amount()];
+      }
+      else break;
+    }
+    return node;
+  };
+
+  const ast = sum();
+  let adv = 0;
+  const t = peek();
+  if (t === 'adv' || t === 'advantage') { take(); adv = 1; }
+  else if (t === 'dis' || t === 'disadvantage') { take(); adv = -1; }
+  if (i < toks.length) fail(`unexpected '${peek()}'`);
+  return { ast, adv };
+}
+
+/** @private */
+function _tokenizeDice(src) {
+  const out = [];
+  const s = src.toLowerCase();
+  for (let i = 0; i < s.length;) {
+    const c = s[i];
+    if (c === ' ' || c === '\t') { i++; continue; }
+    if (c >= '0' && c <= '9') { let j = i; while (j < s.length && s[j] >= '0' && s[j] <= '9') j++; out.push(+s.slice(i, j)); i = j; continue; }
+    if (c >= 'a' && c <= 'z') {
+      let j = i; while (j < s.length && s[j] >= 'a' && s[j] <= 'z') j++;
+      const word = s.slice(i, j);
+      if (!_DICE_WORDS.has(word)) throw new Error(`roll: unknown word '${word}' in '${src}'`);
+      out.push(word);
+      i = j; continue;
+    }
+    if ('+-*/()%!'.includes(c)) { out.push(c); i++; continue; }
+    throw new Error(`roll: unexpected character '${c}' in '${src}'`);
+  }
+  return out;
+}
+const _DICE_WORDS = new Set(['d', 'k', 'kh', 'kl', 'dh', 'dl', 'drop', 'keep', 'lowest', 'highest', 'adv', 'advantage', 'dis', 'disadvantage']);
+
+/** @private */
+function _evalRoll(gen, ast) {
+  const dice = [];
+  const ev = (n) => {
+    if ('num' in n) return n.num;
+    if ('sides' in n) { const g = _rollGroup(gen, n); dice.push(g); return g.total; }
+    if (n.op === 'neg') return -ev(n.a);
+    const a = ev(n.a), b = ev(n.b);
+    if (n.op === '+') return a + b;
+    if (n.op === '-') return a - b;
+    if (n.op === '*') return a * b;
+    if (b === 0) throw new Error('roll: division by zero');
+    return Math.floor(a / b);
+  };
+  const total = ev(ast);
+  return { total, dice };
+}
+/** @private */
+function _rollGroup(gen, n) {
+  const rolls = [];
+  let extra = 0; // explosions so far in this group, capped at 100
+  for (let i = 0; i < n.count; i++) {
+    let v = rngIntUnbiased(gen, 1, n.sides);
+    rolls.push({ value: v, kept: true, exploded: false });
+    for (; n.explode && v === n.sides && extra < 100; extra++) {
+      v = rngIntUnbiased(gen, 1, n.sides);
+      rolls.push({ value: v, kept: true, exploded: true });
+    }
+  }
+  if (n.keep) {
+    // Rank dice low to high (ties by position), then mark the ones outside the kept slice
+    const [mode, k] = n.keep;
+    const order = rolls.map((r, i) => i).sort((a, b) => (rolls[a].value - rolls[b].value) || (a - b));
+    const m = Math.min(k, order.length);
+    const dropped = mode === 'kh' ? order.slice(0, order.length - m) : mode === 'kl' ? order.slice(m)
+      : mode === 'dl' ? order.slice(0, m) : order.slice(order.length - m);
+    for (const i of dropped) rolls[i].kept = false;
+  }
+  let total = 0;
+  for (const r of rolls) if (r.kept) total += r.value;
+  return { notation: _diceNotation(n), sides: n.sides, rolls, total };
+}
+/** @private */
+function _diceNotation(n) {
+  const keep = n.keep ? n.keep[0] + n.keep[1] : '';
+  return `${n.count}d${n.sides}${n.explode ? '!' : ''}${keep}`;
+}
+/** @private */
+function _parseRange(range) {
+  if (Array.isArray(range)) return [+range[0], +range[1]];
+  if (typeof range === 'number') return [range, range];
+  const m = /^\s*(-?\d+)\s*(?:-\s*(-?\d+))?\s*$/.exec(String(range));
+  if (!m) throw new Error(`rollTable: bad range '${range}'`);
+  return [+m[1], m[2] !== undefined ? +m[2] : +m[1]];
+}
+
+/** @private */
+function _weightsOf(items, weights) {
+  if (weights) {
+    if (weights.length !== items.length) throw new Error('weights: length must match items');
+    return weights;
+  }
+  return items.map((it) => +(it && it.weight) || 0);
+}
+
+// ===== Coherent noise =====
+
+/**
+ * @typedef {object} Noise
+ * @property {(x:number, y:number) => number} value2D
+ * @property {(x:number, y:number, z:number) => number} value3D
+ * @property {(x:number, y:number) => number} perlin2D
+ * @property {(x:number, y:number, z:number) => number} perlin3D
+ * @property {(x:number, y:number) => number} simplex2D
+ * @property {(x:number, y:number, z:number) => number} simplex3D
+ * @property {(x:number, y:number, opts?:FbmOptions) => number} fbm2D
+ * @property {(x:number, y:number, z:number, opts?:FbmOptions) => number} fbm3D
+ */
+
+/**
+ * @typedef {object} FbmOptions
+ * @property {'value'|'perlin'|'simplex'} [kind='simplex'] - Base noise.
+ * @property {number} [octaves=4]
+ * @property {number} [frequency=1] - Frequency of the first octave.
+ * @property {number} [lacunarity=2] - Frequency multiplier per octave.
+ * @property {number} [gain=0.5] - Amplitude multiplier per octave.
+ */
+
+/**
+ * Seeded coherent noise. All functions return values in roughly [-1, 1] and are pure given the seed,
+ * so terrain generated from a world seed is reproducible.
+ * @param {number|string|(() => number)|{ next: () => number }} seed - Numeric seed, string (via
+ *   seedFromString), or a generator/createRng object to draw the permutation from (consumes 255 draws).
+ * @returns {Noise}
+ */
+export function createNoise(seed = 0) {
+  const gen = typeof seed === 'function' ? seed
+    : (seed && typeof seed.next === 'function') ? seed.next
+    : mulberry32(typeof seed === 'string' ? seedFromString(seed) : seed >>> 0);
+  const p = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) p[i] = i;
+  rngShuffleInPlace(gen, p);
+  const perm = new Uint8Array(512);
+  for (let i = 0; i < 512; i++) perm[i] = p[i & 255];
+  const hash2 = (X, Y) => perm[X + perm[Y]];
+  const hash3 = (X, Y, Z) => perm[X + perm[Y + perm[Z]]];
+  const lattice = (h) => h / 127.5 - 1;
+
+  const value2D = (x, y) => {
+    const X = Math.floor(x), Y = Math.floor(y);
+    const xi = X & 255, yi = Y & 255;
+    const u = _smooth(x - X), v = _smooth(y - Y);
+    return _lerp(
+      _lerp(lattice(hash2(xi, yi)), lattice(hash2(xi + 1, yi)), u),
+      _lerp(lattice(hash2(xi, yi + 1)), lattice(hash2(xi + 1, yi + 1)), u), v);
+  };
+  const value3D = (x, y, z) => {
+    const X = Math.floor(x), Y = Math.floor(y), Z = Math.floor(z);
+    const xi = X & 255, yi = Y & 255, zi = Z & 255;
+    const u = _smooth(x - X), v = _smooth(y - Y), w = _smooth(z - Z);
+    const c = (dx, dy, dz) => lattice(hash3(xi + dx, yi + dy, zi + dz));
+    return _lerp(
+      _lerp(_lerp(c(0, 0, 0), c(1, 0, 0), u), _lerp(c(0, 1, 0), c(1, 1, 0), u), v),
+      _lerp(_lerp(c(0, 0, 1), c(1, 0, 1), u), _lerp(c(0, 1, 1), c(1, 1, 1), u), v), w);
+  };
+
+  const perlin2D = (x, y) => {
+    const X = Math.floor(x), Y = Math.floor(y);
+    const xi = X & 255, yi = Y & 255, xf = x - X, yf = y - Y;
+    const u = _fade(xf), v = _fade(yf);
+    const g = (dx, dy) => _dot2(_GRAD3[hash2(xi + dx, yi + dy) % 12], xf - dx, yf - dy);
+    return _lerp(_lerp(g(0, 0), g(1, 0), u), _lerp(g(0, 1), g(1, 1), u), v);
+  };
+  const perlin3D = (x, y, z) => {
+    const X = Math.floor(x), Y = Math.floor(y), Z = Math.floor(z);
+    const xi = X & 255, yi = Y & 255, zi = Z & 255, xf = x - X, yf = y - Y, zf = z - Z;
+    const u = _fade(xf), v = _fade(yf), w = _fade(zf);
+    const g = (dx, dy, dz) => _dot3(_GRAD3[hash3(xi + dx, yi + dy, zi + dz) % 12], xf - dx, yf - dy, zf - dz);
+    return _lerp(
+      _lerp(_lerp(g(0, 0, 0), g(1, 0, 0), u), _lerp(g(0, 1, 0), g(1, 1, 0), u), v),
+      _lerp(_lerp(g(0, 0, 1), g(1, 0, 1), u), _lerp(g(0, 1, 1), g(1, 1, 1), u), v), w);
+  };
+
+  // Simplex noise after Gustavson's reference implementation
+  const simplex2D = (x, y) => {
+    const s = (x + y) * _F2;
+    const i = Math.floor(x + s), j = Math.floor(y + s);
+    const t = (i + j) * _G2;
+    const x0 = x - (i - t), y0 = y - (j - t);
+    const i1 = x0 > y0 ? 1 : 0, j1 = x0 > y0 ? 0 : 1;
+    const x1 = x0 - i1 + _G2, y1 = y0 - j1 + _G2;
+    const x2 = x0 - 1 + 2 * _G2, y2 = y0 - 1 + 2 * _G2;
+    const ii = i & 255, jj = j & 255;
+    const corner = (gi, cx, cy) => {
+      const r = 0.5 - cx * cx - cy * cy;
+      return r < 0 ? 0 : r * r * r * r * _dot2(_GRAD3[gi % 12], cx, cy);
+    };
+    return 70 * (corner(hash2(ii, jj), x0, y0) + corner(hash2(ii + i1, jj + j1), x1, y1) + corner(hash2(ii + 1, jj + 1), x2, y2));
+  };
+  const simplex3D = (x, y, z) => {
+    const s = (x + y + z) * _F3;
+    const i = Math.floor(x + s), j = Math.floor(y + s), k = Math.floor(z + s);
+    const t = (i + j + k) * _G3;
+    const x0 = x - (i - t), y0 = y - (j - t), z0 = z - (k - t);
+    let i1, j1, k1, i2, j2, k2;
+    if (x0 >= y0) {
+      if (y0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+      else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+      else { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+    } else {
+      if (y0 < z0) { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+      else if (x0 < z0) { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+      else { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+    }
+    const ii = i & 255, jj = j & 255, kk = k & 255;
+    const corner = (gi, cx, cy, cz) => {
+      const r = 0.6 - cx * cx - cy * cy - cz * cz;
+      return r < 0 ? 0 : r * r * r * r * _dot3(_GRAD3[gi % 12], cx, cy, cz);
+    };
+    return 32 * (
+      corner(hash3(ii, jj, kk), x0, y0, z0) +
+      corner(hash3(ii + i1, jj + j1, kk + k1), x0 - i1 + _G3, y0 - j1 + _G3, z0 - k1 + _G3) +
+      corner(hash3(ii + i2, jj + j2, kk + k2), x0 - i2 + 2 * _G3, y0 - j2 + 2 * _G3, z0 - k2 + 2 * _G3) +
+      corner(hash3(ii + 1, jj + 1, kk + 1), x0 - 1 + 3 * _G3, y0 - 1 + 3 * _G3, z0 - 1 + 3 * _G3));
+  };
+
+  const kinds2 = { value: value2D, perlin: perlin2D, simplex: simplex2D };
+  const kinds3 = { value: value3D, perlin: perlin3D, simplex: simplex3D };
+  const fbm = (kinds, opts, sample) => {
+    const { kind = 'simplex', octaves = 4, frequency = 1, lacunarity = 2, gain = 0.5 } = opts;
+    const fn = kinds[kind];
+    if (!fn) throw new Error(`fbm: unknown noise kind '${kind}'`);
+    let sum = 0, amp = 1, norm = 0, f = frequency;
+    for (let o = 0; o < octaves; o++) { sum += amp * sample(fn, f); norm += amp; amp *= gain; f *= lacunarity; }
+    return norm ? sum / norm : 0;
+  };
+
+  return Object.freeze({
+    value2D, value3D, perlin2D, perlin3D, simplex2D, simplex3D,
+    /** Fractal Brownian motion: octaves of a base noise summed and normalized back to [-1, 1]. */
+    fbm2D: (x, y, opts = {}) => fbm(kinds2, opts, (fn, f) => fn(x * f, y * f)),
+    fbm3D: (x, y, z, opts = {}) => fbm(kinds3, opts, (fn, f) => fn(x * f, y * f, z * f))
+  });
+}
+
+const _F2 = 0.5 * (Math.sqrt(3) - 1), _G2 = (3 - Math.sqrt(3)) / 6;
+const _F3 = 1 / 3, _G3 = 1 / 6;
+const _GRAD3 = [[1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0], [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1], [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1]];
+/** @private */
+function _fade(t) { return t * t * t * (t * (t * 6 - 15) + 10); }
+/** @private */
+function _smooth(t) { return t * t * (3 - 2 * t); }
+/** @private */
+function _lerp(a, b, t) { return a + (b - a) * t; }
+/** @private */
+function _dot2(g, x, y) { return g[0] * x + g[1] * y; }
+/** @private */
+function _dot3(g, x, y, z) { return g[0] * x + g[1] * y + g[2] * z; }
+
 /** Tiny self-test helper (returns true when basic invariants hold). */
 export function rngSelfTest() {
   const s = 123456789;
@@ -0,0 +1,70 @@
+// ecs/rollback.js
+// Ring buffer of in-memory world states for rollback and undo.
+/**
+ * @module ecs/rollback
+ * Keeps the last N {@link module:ecs/core~World#saveState} handles keyed by world step, for rollback
+ * netcode (restore the confirmed step, re-apply inputs, resimulate) and "undo last turn".
+ *
+ * @example
+ * const history = createStateBuffer(world, 8);
+ * history.save();                    // after each tick
+ * // late input for step 120 arrives:
+ * history.restore(120);              // world is back at step 120; newer states are dropped
+ * for (...) world.tick(dt);          // resimulate, saving again as you go
+ */
+
+/**
+ * @typedef {import('./core.js').World} World
+ */
+
+/**
+ * Create a ring buffer of world states.
+ * @param {World} world
+ * @param {number} [capacity=16] - States kept; the oldest is evicted when full.
+ * @returns {{ save:()=>number, restore:(step:number)=>boolean, undo:()=>boolean, has:(step:number)=>boolean, steps:()=>number[], clear:()=>void, readonly size:number, readonly capacity:number }}
+ */
+export function createStateBuffer(world, capacity = 16) {
+  const cap = Math.max(1, capacity | 0);
+  const ring = new Array(cap);
+  let start = 0, size = 0;
+
+  const at = (i) => ring[(start + i) % cap];
+  const find = (step) => { for (let i = size - 1; i >= 0; i--) if (at(i).step === step) return i; return -1; };
+  const truncate = (n) => { for (let i = n; i < size; i++) ring[(start + i) % cap] = undefined; size = n; };
+
+  return {
+    get size() { return size; },
+    get capacity() { return cap; },
+    /** Save the current state under world.step, replacing any saved state for the same or a later step. */
+    save() {
+      let n = size;
+      while (n && at(n - 1).step >= world.step) n--;
+      truncate(n);
+      const entry = { step: world.step, state: world.saveState() };
+      if (size === cap) { ring[start] = entry; start = (start + 1) % cap; }
+      else { ring[(start + size) % cap] = entry; size++; }
+      return entry.step;
+    },
+    /** Restore the state saved at a step and drop newer ones. False if that step is no longer buffered. */
+    restore(step) {
+      const i = find(step);
+      if (i < 0) return false;
+      world.restoreState(at(i).state);
+      truncate(i + 1);
+      return true;
+    },
+    /** Restore the state before the latest one (dropping the latest). False if fewer than two are buffered. */
+    undo() {
+      if (size < 2) return false;
+      truncate(size - 1);
+      world.restoreState(at(size - 1).state);
+      return true;
+    },
+    /** Whether a state for the step is buffered. */
+    has(step) { return find(step) >= 0; },
+    /** Buffered steps, oldest first. */
+    steps() { const out = []; for (let i = 0; i < size; i++) out.push(at(i).step); return out; },
+    /** Drop all saved states. */
+    clear() { truncate(0); start = 0; }
+  };
+}
@@ -4,8 +4,16 @@
  * @module ecs/serialization
  * Serialize and restore World state as plain JSON snapshots. Flexible include/exclude,
  * registry-based component resolution, and append/replace application modes.
+ * Snapshots record each component's `version`; registered migrations upgrade older records on load.
+ * Schema fields typed 'entity' / 'entity[]' are rewritten to the ids entities receive on load.
+ *
+ * Records are stored through {@link encodeValue}: Map, Set, typed arrays, ArrayBuffer, Date, BigInt and
+ * non-finite numbers / -0 become `{ $type, value }` objects, so snapshots stay JSON-safe without losing
+ * them. Components may define `serialize`/`deserialize` hooks for anything else (see defineComponent).
  */
 
+import { remapEntityRefs } from './core.js';
+
 /**
  * @typedef {import('./core.js').World} World
  * @typedef {import('./core.js').Component} Component
@@ -15,35 +23,219 @@
  * @typedef {object} SnapshotMeta
  * @property {number} seed
  * @property {number} frame
+ * @property {number} [step] - World step counter.
  * @property {number} time
+ * @property {any} [rng] - World RNG state (rand.getState()); restored so loading continues the same sequence.
+ * @property {string} [rngAlgorithm] - Generator behind world.rand (defaults to 'mulberry32').
+ * @property {Record<string, any>} [streams] - States of named streams created via world.rng(label).
  * @property {string} store - Store mode (e.g., 'map' | 'soa').
  * @property {string} [note]
  */
 
 /**
  * @typedef {object} Snapshot
- * @property {1} v - Version marker.
+ * @property {1|2} v - Format version (2 adds `schema`; 1 is still accepted and treated as all components at version 1).
  * @property {SnapshotMeta} meta
+ * @property {Record<string, number>} [schema] - Component/resource name to the record version it was saved with.
  * @property {Record<string, Array<[number, object]>>} comps - Map of component name to rows [id, record].
  * @property {number[]} alive - Alive entity ids (optional if derivable from comps).
+ * @property {{ next:number, free:number[], gens:Array<[number, number]> }} [entities] - Allocator state
+ *   (slot generations, free list) for full-world snapshots; lets 'replace' restore exact id handles.
+ * @property {Record<string, object>} [resources] - World resources by name (full-world snapshots only).
+ */
+
+/**
+ * @typedef {object} Delta
+ * @property {1} v
+ * @property {'delta'} kind
+ * @property {{ step:number }} base - Step of the state the delta applies to.
+ * @property {SnapshotMeta} meta - Meta of the target state (step, time, RNG).
+ * @property {Snapshot['entities']} [entities] - Allocator state of the target (exact handles for created entities).
+ * @property {number[]} created - Entities alive in the target only.
+ * @property {number[]} destroyed - Entities alive in the base only.
+ * @property {Record<string, Array<[number, object]>>} added - Components gained (or replaced whole), by name.
+ * @property {Record<string, number[]>} removed - Components lost by entities that stay alive.
+ * @property {Record<string, Array<[number, object]>>} changed - Per-field patches: only fields whose value differs.
+ * @property {{ set:Record<string, object>, removed:string[] }} resources
  */
 
 /**
  * @typedef {Map<string, Component> | Record<string, Component>} Registry
  */
 
+/**
+ * @typedef {object} MigrationContext
+ * @property {number|null} id - Entity id (null for resources).
+ * @property {string} name - Component name being migrated.
+ * @property {number} from
+ * @property {number} to
+ * @property {(name:string, rec:object, version?:number)=>void} emit - Write a record under another component
+ *   (rename/split); it is migrated onward from `version` (default: that component's current version).
+ *   Records emitted to the same component and entity are merged shallowly.
+ */
+
+/**
+ * @typedef {(rec:object, ctx:MigrationContext)=>(object|null|void)} MigrationFn
+ * `rec` holds decoded values (Map, Set, NaN, ...) as {@link decodeValue} returns them. Return the upgraded
+ * record (or mutate `rec` and return nothing); return null to drop it.
+ */
+
+/**
+ * @typedef {object} MigrationReport
+ * @property {boolean} changed - Whether anything needed migrating.
+ * @property {Array<{ name:string, kind:'component'|'resource', from:number, to:number, records:number, migrated:number, dropped:number, emitted:Record<string, number> }>} entries
+ */
+
+/**
+ * Migration steps keyed by component name and target version.
+ * Names are snapshot names, so components that were renamed or removed in code can still be migrated.
+ */
+export class MigrationRegistry {
+  constructor() {
+    this._steps = new Map(); // Map<name, Map<toVersion, MigrationFn>>
+  }
+
+  /** Register the step that upgrades `name` records from `toVersion - 1` to `toVersion`.
+   * @param {string} name
+   * @param {number} toVersion - Integer >= 2.
+   * @param {MigrationFn} fn
+   * @returns {this}
+   */
+  register(name, toVersion, fn) {
+    if (typeof name !== 'string' || !name) throw new Error('registerMigration: name must be a non-empty string');
+    if (!Number.isInteger(toVersion) || toVersion < 2) throw new Error('registerMigration: toVersion must be an integer >= 2');
+    if (typeof fn !== 'function') throw new Error('registerMigration: migration must be a function');
+    let steps = this._steps.get(name);
+    if (!steps) this._steps.set(name, steps = new Map());
+    if (steps.has(toVersion)) throw new Error(`registerMigration: '${name}' already has a migration to version ${toVersion}`);
+    steps.set(toVersion, fn);
+    return this;
+  }
+
+  /** @param {string} name @param {number} toVersion @returns {MigrationFn|undefined} */
+  get(name, toVersion) { return this._steps.get(name)?.get(toVersion); }
+
+  /** Highest version any migration for `name` produces (0 if none). @param {string} name @returns {number} */
+  latest(name) { let v = 0; for (const k of this._steps.get(name)?.keys() || []) if (k > v) v = k; return v; }
+
+  /** Remove all migrations. */
+  clear() { this._steps.clear(); }
+}
+
+/** Shared migration registry used by applySnapshot unless `opts.migrations` is given. */
+export const defaultMigrations = new MigrationRegistry();
+
+/** Register a migration step in the {@link defaultMigrations} registry.
+ * @example
+ * // Health v2 renamed `hp` to `current`
+ * registerMigration('Health', 2, ({ hp, ...rest }) => ({ ...rest, current: hp }));
+ * // Stats v2 split into Stats + Speed
+ * registerMigration('Stats', 2, (rec, ctx) => { ctx.emit('Speed', { value: rec.speed }); delete rec.speed; });
+ * // Legacy component renamed to Vitality, and a removed component
+ * registerMigration('Legacy', 2, (rec, ctx) => { ctx.emit('Vitality', rec); return null; });
+ * registerMigration('Obsolete', 2, () => null);
+ * @param {string} name @param {number} toVersion @param {MigrationFn} fn
+ */
+export function registerMigration(name, toVersion, fn) {
+  defaultMigrations.register(name, toVersion, fn);
+}
+
+/** Convert a value to its JSON-safe snapshot form. Plain objects and arrays are copied recursively;
+ * objects with `toJSON` (SoA views, user classes) are encoded from its result; functions, symbols and
+ * undefined are dropped as JSON.stringify would. Plain objects that themselves have a `$type` key are
+ * wrapped so they decode unchanged.
+ * @param {any} v
+ * @returns {any}
+ */
+export function encodeValue(v) {
+  switch (typeof v) {
+    case 'number': return (Number.isFinite(v) && !Object.is(v, -0)) ? v : { $type: 'Number', value: Object.is(v, -0) ? '-0' : String(v) };
+    case 'bigint': return { $type: 'BigInt', value: v.toString() };
+    case 'string': case 'boolean': return v;
+    case 'object': break;
+    default: return undefined;
+  }
+  if (v === null) return null;
+  if (Array.isArray(v)) return v.map((x) => { const e = encodeValue(x); return e === undefined ? null : e; });
+  if (v instanceof Map) return { $type: 'Map', value: Array.from(v, ([k, x]) => [encodeValue(k), encodeValue(x)]) };
+  if (v instanceof Set) return { $type: 'Set', value: Array.from(v, encodeValue) };
+  if (v instanceof Date) return { $type: 'Date', value: encodeValue(v.getTime()) };
+  if (v instanceof ArrayBuffer) return { $type: 'ArrayBuffer', value: Array.from(new Uint8Array(v)) };
+  if (ArrayBuffer.isView(v) && !(v instanceof DataView)) {
+    const type = v.constructor.name;
+    if (!TYPED_ARRAYS[type]) throw new Error(`encodeValue: unsupported typed array ${type}`);
+    return { $type: type, value: Array.from(v, encodeValue) };
+  }
+  const proto = Object.getPrototypeOf(v);
+  if (proto !== Object.prototype && proto !== null && typeof v.toJSON === 'function') return encodeValue(v.toJSON());
+  const out = {};
+  for (const k of Object.keys(v)) { const e = encodeValue(v[k]); if (e !== undefined) out[k] = e; }
+  return Object.prototype.hasOwnProperty.call(v, '$type') ? { $type: 'Object', value: out } : out;
+}
+
+/** Inverse of {@link encodeValue}.
+ * @param {any} x
+ * @returns {any}
+ * @throws {Error} on an unknown `$type`.
+ */
+export function decodeValue(x) {
+  if (x === null || typeof x !== 'object') return x;
+  if (Array.isArray(x)) return x.map(decodeValue);
+  if (typeof x.$type === 'string' && 'value' in x) {
+    const { $type: type, value } = x;
+    switch (type) {
+      case 'Number': return Number(value);
+      case 'BigInt': return BigInt(value);
+      case 'Map': return new Map(value.map(([k, v]) => [decodeValue(k), decodeValue(v)]));
+      case 'Set': return new Set(value.map(decodeValue));
+      case 'Date': return new Date(decodeValue(value));
+      case 'ArrayBuffer': return new Uint8Array(value).buffer;
+      case 'Object': { const out = {}; for (const k of Object.keys(value)) out[k] = decodeValue(value[k]); return out; }
+      default: {
+        const T = TYPED_ARRAYS[type];
+        if (!T) throw new Error(`decodeValue: unknown $type '${type}'`);
+        return T.from(value, decodeValue);
+      }
+    }
+  }
+  const out = {};
+  for (const k of Object.keys(x)) out[k] = decodeValue(x[k]);
+  return out;
+}
+
+/** Snapshot form of a component record: the component's `serialize` hook (if any), then {@link encodeValue}.
+ * @param {Component} Comp @param {object} rec @returns {any}
+ */
+export function encodeRecord(Comp, rec) {
+  return encodeValue(Comp.serialize ? Comp.serialize(rec) : rec);
+}
+
+/** Record from its snapshot form: {@link decodeValue}, then the component's `deserialize` hook (if any).
+ * @param {Component} Comp @param {any} data @returns {object}
+ */
+export function decodeRecord(Comp, data) {
+  const value = decodeValue(data);
+  return Comp.deserialize ? Comp.deserialize(value) : value;
+}
+
 /** Build a name->Component registry from components or arrays of components.
  * Later used for deserialization to map names to constructors.
+ * Throws if two distinct components share a name, since snapshots identify components by name.
  * @param {...(Component|Component[]) } comps
  * @returns {Map<string, Component>}
  */
 export function makeRegistry(...comps) {
   const reg = new Map();
-  for (const c of comps.flat()) if (c && c.key && typeof c.name === 'string') reg.set(c.name, c);
+  for (const c of comps.flat()) {
+    if (!c || !c.key || typeof c.name !== 'string') continue;
+    const prior = reg.get(c.name);
+    if (prior && prior.key !== c.key) throw new Error(`makeRegistry: duplicate component name '${c.name}'`);
+    reg.set(c.name, c);
+  }
   return reg;
 }
 
-/** Serialize the entire world into a snapshot.
+/** Serialize the entire world into a snapshot, including resources (include/exclude filter them by name too).
  * @param {World} world
  * @param {{ include?: string[]|Set<string>|string, exclude?: string[], pickEntity?:(id:number)=>boolean, note?:string }} [opts]
  * @returns {Snapshot}
@@ -55,32 +247,53 @@ export function serializeWorld(world, opts = {}) {
   const comps = {};
   const alive = Array.from(world.alive).sort((a, b) => a - b).filter(pickEntity);
 
-  for (const [ckey, store] of world._store) {
-    const name = _guessCompName(world, ckey, store);
-    if (!name) continue;
+  const picked = new Map(); // Comp.key -> { name, comp, rows }, in store creation order
+  for (const Comp of _componentsIn(world)) {
+    const name = Comp.name;
     if (include && !include.has(name)) continue;
     if (exclude.has(name)) continue;
-
-    const rows = [];
-    const ids = store.entityIds ? store.entityIds() : alive;
-    for (const id of ids) {
-      if (!world.alive.has(id)) continue;
-      if (!pickEntity(id)) continue;
-      const rec = store.get ? store.get(id) : world.get(id, _lookupCompByName(world, name));
-      if (!rec) continue;
-      rows.push([id, _clonePlain(rec)]);
+    picked.set(Comp.key, { name, comp: Comp, rows: [] });
+  }
+  for (const id of alive) {
+    for (const [Comp, rec] of world.entries(id)) {
+      const entry = picked.get(Comp.key);
+      if (entry && rec) entry.rows.push([id, encodeRecord(Comp, rec)]);
     }
-    if (rows.length) comps[name] = rows;
+  }
+  // Stores left empty (e.g. by a hot-reloaded definition) may share a name; only populated ones must not
+  for (const { name, rows } of picked.values()) {
+    if (!rows.length) continue;
+    if (name in comps) throw new Error(`serializeWorld: duplicate component name '${name}'`);
+    comps[name] = rows;
   }
 
   const meta = {
     seed: world.seed >>> 0,
     frame: world.frame | 0,
+    step: world.step | 0,
     time: +world.time || 0,
+    rng: typeof world.rand?.getState === 'function' ? world.rand.getState() : undefined,
+    rngAlgorithm: world.rngAlgorithm,
+    streams: _streamStates(world),
     store: world.storeMode || (_guessStore(world) || 'map'),
     note: opts.note || undefined
   };
-  return { v: 1, meta, comps, alive };
+  const schema = {};
+  for (const { name, comp, rows } of picked.values()) if (rows.length) schema[name] = comp.version ?? 1;
+  const snap = { v: 2, meta, schema, comps, alive };
+  if (!opts.pickEntity && typeof world.allocatorState === 'function') snap.entities = world.allocatorState();
+  if (!opts.pickEntity && typeof world.resources === 'function') {
+    const resources = {};
+    for (const [Res, rec] of world.resources()) {
+      if (include && !include.has(Res.name)) continue;
+      if (exclude.has(Res.name)) continue;
+      if (Res.name in resources) throw new Error(`serializeWorld: duplicate resource name '${Res.name}'`);
+      resources[Res.name] = encodeRecord(Res, rec);
+      schema[Res.name] = Res.version ?? 1;
+    }
+    if (Object.keys(resources).length) snap.resources = resources;
+  }
+  return snap;
 }
 
 /** Serialize a subset of entities.
@@ -109,21 +322,33 @@ export function deserializeWorld(data, registry, opts = {}) {
   const WorldCtor = opts.World || (globalThis.World);
   if (!WorldCtor) throw new Error('deserializeWorld: supply opts.World or expose World globally');
 
-  const w = new WorldCtor({ seed, store: storeMode });
+  const w = new WorldCtor({ seed, store: storeMode, rng: data?.meta?.rngAlgorithm });
   return applySnapshot(w, data, registry, opts);
 }
 
 /** Apply a snapshot to an existing world.
+ * Resources are resolved through the same registry as components; 'replace' drops resources absent from the snapshot.
+ * Inside a tick, 'replace' destroys the old entities immediately and drops deferred ops still queued for them.
+ * Entity-typed schema fields are mapped to the ids the snapshot's entities get in this world; references to
+ * entities outside the snapshot are kept verbatim, or cleared with `nullDangling` (see {@link remapEntityRefs}).
+ * Records saved at an older component version are upgraded first (see {@link migrateSnapshot}); with
+ * `dryRun` nothing is applied and the migration report is returned instead of the world.
  * @param {World} world
  * @param {Snapshot} data
  * @param {Registry} registry
- * @param {{ mode?: 'replace'|'append', skipUnknown?: boolean, remapId?:(oldId:number)=>number }} [opts]
- * @returns {World}
+ * @param {{ mode?: 'replace'|'append', skipUnknown?: boolean, remapId?:(oldId:number)=>number, nullDangling?:boolean, migrations?:MigrationRegistry, dryRun?:boolean }} [opts]
+ * @returns {World|MigrationReport}
  */
 export function applySnapshot(world, data, registry, opts = {}) {
-  _assertSnapshot(data);
+  const migrated = migrateSnapshot(data, registry, opts);
+  if (opts.dryRun) return migrated.report;
+  data = migrated.snapshot;
 
   const mode = opts.mode || 'replace'; // 'replace' | 'append'
+  const algo = data.meta?.rngAlgorithm || 'mulberry32';
+  if (mode === 'replace' && data.meta?.rng != null && world.rngAlgorithm && world.rngAlgorithm !== algo) {
+    throw new Error(`applySnapshot: snapshot RNG algorithm '${algo}' does not match world ('${world.rngAlgorithm}')`);
+  }
   const mapNameToComp = _normalizeRegistry(registry);
   const remap = opts.remapId || null;
 
@@ -131,44 +356,341 @@ export function applySnapshot(world, data, registry, opts = {}) {
 
   function _apply() {
     if (mode === 'replace') {
-      for (const id of Array.from(world.alive)) world.destroy(id);
+      // destroy is deferred inside a tick; the old entities must be gone before handles are restored
+      const inTick = world._inTick;
+      world._inTick = false;
+      try { for (const id of Array.from(world.alive)) world.destroy(id); }
+      finally { world._inTick = inTick; }
+      if (inTick) world._cmd.length = 0;
     }
     const idMap = new Map();
     const sourceAlive = (data.alive || _collectAliveFromComps(data)).sort((a, b) => a - b);
-    for (const oldId of sourceAlive) {
-      const newId = remap ? (remap(oldId) | 0) || world.create() : world.create();
-      idMap.set(oldId, newId);
+    if (mode === 'replace' && !remap && data.entities && typeof world.restoreEntities === 'function') {
+      // Exact handles (including generations) so ids cached elsewhere stay meaningful
+      world.restoreEntities(data.entities, sourceAlive);
+      for (const id of sourceAlive) idMap.set(id, id);
+    } else {
+      for (const oldId of sourceAlive) {
+        const newId = remap ? (remap(oldId) | 0) || world.create() : world.create();
+        idMap.set(oldId, newId);
+      }
     }
+    const refs = { nullDangling: !!opts.nullDangling };
+    const mapRef = (ref) => idMap.get(ref);
     for (const [name, rows] of Object.entries(data.comps || {})) {
       const Comp = mapNameToComp.get(name);
       if (!Comp) { if (!opts.skipUnknown) throw new Error(`applySnapshot: unknown component '${name}'`); continue; }
       for (const [oldId, payload] of rows) {
         const id = idMap.get(oldId);
         if (!id) continue;
-        world.add(id, Comp, _clonePlain(payload));
+        world.add(id, Comp, remapEntityRefs(Comp, decodeRecord(Comp, payload), mapRef, refs));
       }
     }
-    if (data.meta) {
-      world.time = +data.meta.time || world.time || 0;
-      world.frame = (data.meta.frame | 0) || world.frame || 0;
+    if (typeof world.setResource === 'function') {
+      if (mode === 'replace') for (const [Res] of world.resources()) world.removeResource(Res);
+      for (const [name, payload] of Object.entries(data.resources || {})) {
+        const Res = mapNameToComp.get(name);
+        if (!Res) { if (!opts.skipUnknown) throw new Error(`applySnapshot: unknown resource '${name}'`); continue; }
+        world.setResource(Res, remapEntityRefs(Res, decodeRecord(Res, payload), mapRef, refs));
+      }
     }
+    if (data.meta) _applyMeta(world, data.meta, mode);
     return world;
   }
 }
 
+/** Upgrade a snapshot's records to the versions of the components in `registry`, running registered
+ * migrations in version order. Components missing from the registry are migrated up to their latest
+ * registered version (so renamed/removed components can be handled). The input is never modified;
+ * when nothing needs migrating the same snapshot object is returned.
+ * @param {Snapshot} data
+ * @param {Registry} registry
+ * @param {{ migrations?:MigrationRegistry }} [opts]
+ * @returns {{ snapshot:Snapshot, report:MigrationReport }}
+ * @throws {Error} if a record is newer than the component version in this build.
+ */
+export function migrateSnapshot(data, registry, opts = {}) {
+  _assertSnapshot(data);
+  const migrations = opts.migrations || defaultMigrations;
+  const comps = _normalizeRegistry(registry);
+  const schema = data.schema || {};
+  const versionOf = (name) => schema[name] ?? 1;
+  const targetOf = (name) => comps.get(name)?.version ?? Math.max(versionOf(name), migrations.latest(name));
+  const report = { changed: false, entries: [] };
+  const names = [...Object.keys(data.comps), ...Object.keys(data.resources || {})];
+  for (const name of names) {
+    const v = versionOf(name), to = targetOf(name);
+    if (v > to) throw new Error(`migrateSnapshot: '${name}' was saved at version ${v}, newer than this build's ${to}`);
+    if (v < to) report.changed = true;
+  }
+  if (!report.changed) return { snapshot: data, report };
+
+  const src = _clonePlain(data);
+  const stats = new Map();
+  const stat = (kind, name, from, to) => {
+    const key = kind + ':' + name;
+    let st = stats.get(key);
+    if (!st) stats.set(key, st = { name, kind, from, to, records: 0, migrated: 0, dropped: 0, emitted: {} });
+    st.from = Math.min(st.from, from);
+    return st;
+  };
+  const queue = [];
+  for (const [name, rows] of Object.entries(src.comps)) for (const [id, rec] of rows) queue.push(['component', name, id, rec, versionOf(name)]);
+  for (const [name, rec] of Object.entries(src.resources || {})) queue.push(['resource', name, null, rec, versionOf(name)]);
+
+  const out = { component: new Map(), resource: new Map() }; // name -> Map<id, rec>
+  for (let q = 0; q < queue.length; q++) {
+    const [kind, name, id, rec0, from] = queue[q];
+    const to = targetOf(name);
+    if (from > to) throw new Error(`migrateSnapshot: '${name}' record at version ${from} is newer than this build's ${to}`);
+    const st = stat(kind, name, from, to);
+    st.records++;
+    // Migrations see decoded values (Map, Set, ...); the result is encoded once afterwards
+    let rec = from < to ? decodeValue(rec0) : rec0, dropped = false;
+    for (let next = from + 1; next <= to && !dropped; next++) {
+      const fn = migrations.get(name, next);
+      if (!fn) continue; // version bumps without a data change need no step
+      const ctx = {
+        id, name, from: next - 1, to: next,
+        emit: (target, r, version) => {
+          queue.push([kind, String(target), id, encodeValue(r), version ?? targetOf(String(target))]);
+          st.emitted[target] = (st.emitted[target] || 0) + 1;
+        }
+      };
+      const res = fn(rec, ctx);
+      if (res === null) dropped = true;
+      else if (res !== undefined) rec = res;
+    }
+    if (from < to) { st.migrated++; if (!dropped) rec = encodeValue(rec); }
+    if (dropped) { st.dropped++; continue; }
+    let m = out[kind].get(name);
+    if (!m) out[kind].set(name, m = new Map());
+    m.set(id, m.has(id) ? Object.assign(m.get(id), rec) : rec);
+  }
+
+  const snapshot = { ...src, v: 2, schema: {}, comps: {} };
+  for (const [name, m] of out.component) {
+    snapshot.comps[name] = Array.from(m).sort((a, b) => a[0] - b[0]);
+    snapshot.schema[name] = targetOf(name);
+  }
+  if (src.resources) {
+    snapshot.resources = {};
+    for (const [name, m] of out.resource) { snapshot.resources[name] = m.get(null); snapshot.schema[name] = targetOf(name); }
+  }
+  report.entries = Array.from(stats.values());
+  return { snapshot, report };
+}
+
+/** Compute the changes that turn snapshot `a` into snapshot `b`.
+ * Records whose field set differs are sent whole under `added` (add replaces the record).
+ * @param {Snapshot} a - Base state (what the receiver already has).
+ * @param {Snapshot} b - Target state.
+ * @returns {Delta}
+ */
+export function diffSnapshots(a, b) {
+  _assertSnapshot(a); _assertSnapshot(b);
+  const aliveA = new Set(a.alive || _collectAliveFromComps(a));
+  const aliveB = new Set(b.alive || _collectAliveFromComps(b));
+  const delta = {
+    v: 1, kind: 'delta', base: { step: a.meta?.step | 0 }, meta: b.meta,
+    created: [...aliveB].filter(id => !aliveA.has(id)).sort((x, y) => x - y),
+    destroyed: [...aliveA].filter(id => !aliveB.has(id)).sort((x, y) => x - y),
+    added: {}, removed: {}, changed: {},
+    resources: { set: {}, removed: [] }
+  };
+  if (b.entities) delta.entities = b.entities;
+
+  const names = new Set([...Object.keys(a.comps), ...Object.keys(b.comps)]);
+  for (const name of names) {
+    const before = new Map(a.comps[name] || []), after = new Map(b.comps[name] || []);
+    const added = [], removed = [], changed = [];
+    for (const [id, rec] of after) {
+      const prev = before.get(id);
+      if (prev === undefined || !aliveA.has(id)) { added.push([id, rec]); continue; }
+      const patch = _patchOf(prev, rec);
+      if (patch === null) added.push([id, rec]);
+      else if (patch) changed.push([id, patch]);
+    }
+    for (const id of before.keys()) if (!after.has(id) && aliveB.has(id) && aliveA.has(id)) removed.push(id);
+    if (added.length) delta.added[name] = _clonePlain(added);
+    if (removed.length) delta.removed[name] = removed;
+    if (changed.length) delta.changed[name] = _clonePlain(changed);
+  }
+
+  const resA = a.resources || {}, resB = b.resources || {};
+  for (const [name, rec] of Object.entries(resB)) if (!(name in resA) || !_sameValue(resA[name], rec)) delta.resources.set[name] = _clonePlain(rec);
+  for (const name of Object.keys(resA)) if (!(name in resB)) delta.resources.removed.push(name);
+  return delta;
+}
+
+/** Record the world's current state as a delta base, so a later `serializeDelta(world, step)` can diff against it.
+ * Keeps the `keep` most recent bases per world (default 8); a base kept again at the same step replaces the old one.
+ * @param {World} world
+ * @param {Parameters<typeof serializeWorld>[1] & { keep?: number }} [opts] - Other options go to serializeWorld.
+ * @returns {Snapshot} The kept snapshot (e.g. the full state to send first).
+ */
+export function keepDeltaBase(world, opts = {}) {
+  return _keepBase(world, serializeWorld(world, opts), opts.keep);
+}
+
+/** Delta from a base state (e.g. the last autosave or the state a peer acknowledged) to the world's current state.
+ * The base is either a snapshot or the step of a base kept on this world; either way the current state is
+ * kept as a base for later calls.
+ * @param {World} world
+ * @param {number|Snapshot} since - Step of a base kept by {@link keepDeltaBase} or an earlier serializeDelta, or a snapshot.
+ * @param {Parameters<typeof serializeWorld>[1] & { keep?: number }} [opts] - Passed to serializeWorld for the current state.
+ * @returns {Delta}
+ * @throws {Error} if no base is kept for step `since`.
+ */
+export function serializeDelta(world, since, opts = {}) {
+  let base = since;
+  if (typeof since === 'number') {
+    base = _deltaBases.get(world)?.get(since);
+    if (!base) throw new Error(`serializeDelta: no base kept for step ${since} (call keepDeltaBase(world) at that step)`);
+  } else if (!since || typeof since !== 'object') {
+    throw new Error('serializeDelta: since must be a step number or a base snapshot');
+  }
+  return diffSnapshots(base, _keepBase(world, serializeWorld(world, opts), opts.keep));
+}
+
+/** Apply a delta to a world holding its base state.
+ * Created entities keep their exact handles when the delta carries allocator state; meta (step, time, RNG)
+ * is taken from the target as in a 'replace' load.
+ * @param {World} world
+ * @param {Delta} delta
+ * @param {Registry} registry
+ * @param {{ skipUnknown?: boolean, checkBase?: boolean, nullDangling?: boolean }} [opts] - checkBase (default true)
+ *   throws if world.step is not the delta's base step. Entity-typed fields are remapped as in applySnapshot;
+ *   references that are neither created by the delta nor alive afterwards count as dangling.
+ * @returns {World}
+ */
+export function applyDelta(world, delta, registry, opts = {}) {
+  if (!delta || delta.kind !== 'delta' || delta.v !== 1) throw new Error('applyDelta: invalid delta');
+  if (opts.checkBase !== false && (world.step | 0) !== (delta.base.step | 0)) {
+    throw new Error(`applyDelta: world is at step ${world.step}, delta expects base step ${delta.base.step}`);
+  }
+  const comps = _normalizeRegistry(registry);
+  const lookup = (name, what) => {
+    const Comp = comps.get(name);
+    if (!Comp && !opts.skipUnknown) throw new Error(`applyDelta: unknown ${what} '${name}'`);
+    return Comp;
+  };
+
+  const run = () => {
+    for (const id of delta.destroyed) if (world.alive.has(id)) world.destroy(id);
+    const idMap = new Map();
+    if (delta.entities && typeof world.restoreEntities === 'function') {
+      world.restoreEntities(delta.entities, delta.created, { merge: true });
+      for (const id of delta.created) idMap.set(id, id);
+    } else {
+      for (const id of delta.created) idMap.set(id, world.create());
+    }
+    const idOf = (id) => idMap.get(id) ?? id;
+    const refs = { nullDangling: !!opts.nullDangling };
+    const mapRef = (ref) => idMap.get(ref) ?? (world.alive.has(ref) ? ref : undefined);
+    for (const [name, ids] of Object.entries(delta.removed)) {
+      const Comp = lookup(name, 'component');
+      if (Comp) for (const id of ids) world.remove(idOf(id), Comp);
+    }
+    for (const [name, rows] of Object.entries(delta.added)) {
+      const Comp = lookup(name, 'component');
+      if (Comp) for (const [id, rec] of rows) world.add(idOf(id), Comp, remapEntityRefs(Comp, decodeRecord(Comp, rec), mapRef, refs));
+    }
+    for (const [name, rows] of Object.entries(delta.changed)) {
+      const Comp = lookup(name, 'component');
+      if (Comp) for (const [id, patch] of rows) {
+        const target = idOf(id);
+        // Hooked components patch their serialized form, so rebuild the whole record
+        const rec = Comp.deserialize
+          ? decodeRecord(Comp, { ...encodeRecord(Comp, world.get(target, Comp)), ...patch })
+          : decodeValue(patch);
+        world.set(target, Comp, remapEntityRefs(Comp, rec, mapRef, refs));
+      }
+    }
+    if (typeof world.setResource === 'function') {
+      for (const name of delta.resources.removed) { const Res = lookup(name, 'resource'); if (Res) world.removeResource(Res); }
+      for (const [name, rec] of Object.entries(delta.resources.set)) { const Res = lookup(name, 'resource'); if (Res) world.setResource(Res, remapEntityRefs(Res, decodeRecord(Res, rec), mapRef, refs)); }
+    }
+    if (delta.meta) _applyMeta(world, delta.meta, 'replace');
+    return world;
+  };
+  return world.batch?.(run) ?? run();
+}
+
 /* helpers */
+const _deltaBases = new WeakMap(); // World -> Map<step, Snapshot>, oldest first
+
+/** @private */
+function _keepBase(world, snap, keep = 8) {
+  let bases = _deltaBases.get(world);
+  if (!bases) _deltaBases.set(world, bases = new Map());
+  const step = snap.meta.step;
+  bases.delete(step);
+  bases.set(step, snap);
+  for (const k of bases.keys()) { if (bases.size <= Math.max(1, keep | 0)) break; bases.delete(k); }
+  return snap;
+}
 /** @private */
 function _normalizeInclude(val) { if (!val) return null; if (val instanceof Set) return val; return new Set(Array.isArray(val) ? val : [val]); }
 /** @private */
-function _assertSnapshot(d) { if (!d || typeof d !== 'object' || d.v !== 1 || !d.comps) throw new Error('snapshot: invalid format'); }
+function _assertSnapshot(d) { if (!d || typeof d !== 'object' || (d.v !== 1 && d.v !== 2) || !d.comps) throw new Error('snapshot: invalid format'); }
 /** @private */
 function _normalizeRegistry(reg) { if (!reg) throw new Error('registry required'); if (reg instanceof Map) return reg; const m = new Map(); for (const [k, v] of Object.entries(reg)) m.set(k, v); return m; }
-/** @private */
+/** Copy of already-encoded (JSON-safe) snapshot data. @private */
 function _clonePlain(x) { if (!x || typeof x !== 'object') return x; return JSON.parse(JSON.stringify(x)); }
+/** Typed array constructors {@link encodeValue} accepts, by name. */
+const TYPED_ARRAYS = Object.fromEntries([
+  Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array, Int32Array, Uint32Array,
+  Float32Array, Float64Array, BigInt64Array, BigUint64Array
+].map((T) => [T.name, T]));
+/** @private */
+function _componentsIn(world) { return Array.from(world._store.values(), (s) => s.comp); }
+/** @private */
+function _streamStates(world) {
+  if (!world._streams?.size) return undefined;
+  const out = {};
+  for (const [label, r] of world._streams) out[label] = r.getState();
+  return out;
+}
 /** @private */
-function _guessCompName(world, ckey, store) { if (store?._comp?.name) return store._comp.name; const d = ckey?.description; return (typeof d === 'string') ? d : null; }
+function _applyMeta(world, meta, mode) {
+  // 'replace' resumes the saved run exactly (time 0 included); 'append' merges entities without rewinding the host world
+  if (mode !== 'replace') {
+    world.time = +meta.time || world.time || 0;
+    world.frame = (meta.frame | 0) || world.frame || 0;
+    return;
+  }
+  world.time = +meta.time || 0;
+  world.frame = meta.frame | 0;
+  if (meta.step != null) world.step = meta.step | 0;
+  if (meta.rng != null && typeof world.rand?.setState === 'function') world.rand.setState(meta.rng);
+  if (typeof world._restoreStreams === 'function') _restoreStreams(world, meta);
+}
 /** @private */
-function _lookupCompByName(world, name) { for (const [ck, s] of world._store) { const n = _guessCompName(world, ck, s); if (n === name && s._comp) return s._comp; } return null; }
+function _restoreStreams(world, meta) {
+  if (meta.seed != null) world.seed = meta.seed >>> 0;
+  world._restoreStreams(Object.entries(meta.streams || {}));
+}
+/** Fields of `next` that differ from `prev`; false when equal, null when the field sets differ or either is not a field object. @private */
+function _patchOf(prev, next) {
+  const isFields = (x) => x && typeof x === 'object' && !Array.isArray(x) && !('$type' in x);
+  if (!isFields(prev) || !isFields(next)) return null;
+  const keys = Object.keys(next);
+  if (keys.length !== Object.keys(prev).length || keys.some(k => !(k in prev))) return null;
+  let patch = false;
+  for (const k of keys) if (!_sameValue(prev[k], next[k])) (patch ||= {})[k] = next[k];
+  return patch;
+}
+/** @private */
+function _sameValue(x, y) {
+  if (x === y) return true;
+  if (!x || !y || typeof x !== 'object' || typeof y !== 'object') return Number.isNaN(x) && Number.isNaN(y);
+  if (Array.isArray(x) !== Array.isArray(y)) return false;
+  const kx = Object.keys(x), ky = Object.keys(y);
+  if (kx.length !== ky.length) return false;
+  for (const k of kx) if (!_sameValue(x[k], y[k])) return false;
+  return true;
+}
 /** @private */
 function _collectAliveFromComps(data) { const s = new Set(); for (const rows of Object.values(data.comps || {})) for (const [id] of rows) s.add(id | 0); return Array.from(s); }
 /** @private */
@@ -4,6 +4,8 @@
 /**
  * @module ecs/systems
  * Lightweight system registry with phase-based grouping and dependency hints.
+ * Each {@link module:ecs/core~World} owns a {@link SystemRegistry} (`world.systems`); the free
+ * functions below operate on a shared {@link defaultRegistry} for callers that want one global table.
  * Consumers typically wire this into {@link module:ecs/core~World.setScheduler} via {@link composeScheduler}.
  */
 
@@ -11,101 +13,196 @@
  * @typedef {(world: import('./core.js').World, dt:number)=>void} SystemFn
  */
 
-const _systems = Object.create(null);      // { phase: [ { system, before:Set, after:Set } ] }
-const _explicitOrder = Object.create(null); // { phase: [fn, fn, ...] }
+/**
+ * Registry of systems grouped by client-defined phases.
+ * Registries are independent: two worlds holding different registries never see each other's systems.
+ */
+export class SystemRegistry {
+  constructor() {
+    this._systems = Object.create(null);       // { phase: [ { system, before:Set, after:Set } ] }
+    this._explicitOrder = Object.create(null); // { phase: [fn, fn, ...] }
+  }
+
+  /** Register a system for a client-defined phase.
+   * @param {SystemFn} system
+   * @param {string} phase
+   * @param {{before?: SystemFn[], after?: SystemFn[]}} [opts]
+   * @returns {this}
+   */
+  register(system, phase, opts = {}) {
+    if (typeof system !== 'function') throw new Error('registerSystem: system must be a function');
+    if (typeof phase !== 'string' || !phase) throw new Error('registerSystem: phase must be a non-empty string');
+    const rec = { system, before: new Set(opts.before || []), after: new Set(opts.after || []) };
+    (this._systems[phase] ||= []).push(rec);
+    return this;
+  }
+
+  /** Override execution order for a phase explicitly.
+   * @param {string} phase
+   * @param {SystemFn[]} systemList
+   * @returns {this}
+   */
+  setOrder(phase, systemList) {
+    if (typeof phase !== 'string' || !phase) throw new Error('setSystemOrder: phase must be a non-empty string');
+    if (!Array.isArray(systemList)) throw new Error('setSystemOrder: systemList must be an array of functions');
+    this._explicitOrder[phase] = systemList;
+    return this;
+  }
+
+  /** Resolve the ordered list of system functions for a phase.
+   * If explicit order is provided, returns it; otherwise, performs a simple
+   * topological sort based on before/after relations among registered systems.
+   * @param {string} phase
+   * @returns {SystemFn[]}
+   */
+  ordered(phase) {
+    if (this._explicitOrder[phase]) return this._explicitOrder[phase];
+    const nodes = this._systems[phase] || [];
+    // Build a graph: edge A->B means A must run before B
+    const graph = new Map(); // fn -> Set<fn>
+    nodes.forEach(({ system }) => graph.set(system, new Set()));
+    nodes.forEach(({ system, before, after }) => {
+      for (const dep of after)   if (graph.has(dep)) graph.get(dep).add(system); // dep -> system
+      for (const dep of before)  if (graph.has(dep)) graph.get(system).add(dep); // system -> dep
+    });
+    const out = [];
+    const visited = new Set();
+    function dfs(n) {
+      if (visited.has(n)) return;
+      visited.add(n);
+      for (const m of graph.get(n) || []) dfs(m);
+      out.push(n);
+    }
+    graph.forEach((_, n) => dfs(n));
+    return out.reverse();
+  }
+
+  /** Execute all systems registered under a phase.
+   * Each system runs inside its own change window on the world: `Changed`/`Added`/`Removed`
+   * match what happened since that system last ran on that world, so systems that run every
+   * N ticks (or in a skipped phase) do not miss changes.
+   * @param {string} phase
+   * @param {import('./core.js').World} world
+   * @param {number} dt
+   */
+  run(phase, world, dt) {
+    const list = this.ordered(phase);
+    const tracked = typeof world?._beginSystem === 'function';
+    for (let i = 0; i < list.length; i++) {
+      const system = list[i];
+      const run = tracked ? world._beginSystem(system) : null;
+      try { system(world, dt); } catch (e) { console.warn(`[systems] error in phase "${phase}"`, e); }
+      finally { if (run) world._endSystem(system, run); }
+    }
+  }
 
-/** Register a system for a client-defined phase.
+  /** Phase names that have registered systems or an explicit order. @returns {string[]} */
+  phases() {
+    return Array.from(new Set([...Object.keys(this._systems), ...Object.keys(this._explicitOrder)]));
+  }
+
+  /** Remove all registered systems and explicit orders. @returns {this} */
+  clear() {
+    for (const k of Object.keys(this._systems)) delete this._systems[k];
+    for (const k of Object.keys(this._explicitOrder)) delete this._explicitOrder[k];
+    return this;
+  }
+}
+
+/** Shared registry used by the free functions below and by worlds created with `{ systems: defaultRegistry }`.
+ * Worlds own a fresh registry by default. For compatibility, {@link runSystems} still runs a phase from
+ * here when the world's registry has nothing for it, with a one-time deprecation warning per phase.
+ */
+export const defaultRegistry = new SystemRegistry();
+
+/** Register a system for a client-defined phase in the {@link defaultRegistry}.
  * @param {SystemFn} system
  * @param {string} phase
  * @param {{before?: SystemFn[], after?: SystemFn[]}} [opts]
  */
 export function registerSystem(system, phase, opts = {}) {
-  if (typeof system !== 'function') throw new Error('registerSystem: system must be a function');
-  if (typeof phase !== 'string' || !phase) throw new Error('registerSystem: phase must be a non-empty string');
-  const rec = { system, before: new Set(opts.before || []), after: new Set(opts.after || []) };
-  (_systems[phase] ||= []).push(rec);
+  defaultRegistry.register(system, phase, opts);
 }
 
-/** Override execution order for a phase explicitly.
+/** Override execution order for a phase of the {@link defaultRegistry} explicitly.
  * @param {string} phase
  * @param {SystemFn[]} systemList
  */
 export function setSystemOrder(phase, systemList) {
-  if (typeof phase !== 'string' || !phase) throw new Error('setSystemOrder: phase must be a non-empty string');
-  if (!Array.isArray(systemList)) throw new Error('setSystemOrder: systemList must be an array of functions');
-  _explicitOrder[phase] = systemList;
+  defaultRegistry.setOrder(phase, systemList);
 }
 
-/** Resolve the ordered list of system functions for a phase.
- * If explicit order is provided, returns it; otherwise, performs a simple
- * topological sort based on before/after relations among registered systems.
+/** Resolve the ordered list of system functions for a phase of the {@link defaultRegistry}.
  * @param {string} phase
  * @returns {SystemFn[]}
  */
 export function getOrderedSystems(phase) {
-  if (_explicitOrder[phase]) return _explicitOrder[phase];
-  const nodes = _systems[phase] || [];
-  // Build a graph: edge A->B means A must run before B
-  const graph = new Map(); // fn -> Set<fn>
-  nodes.forEach(({ system }) => graph.set(system, new Set()));
-  nodes.forEach(({ system, before, after }) => {
-    for (const dep of after)   if (graph.has(dep)) graph.get(dep).add(system); // dep -> system
-    for (const dep of before)  if (graph.has(dep)) graph.get(system).add(dep); // system -> dep
-  });
-  const out = [];
-  const visited = new Set();
-  function dfs(n) {
-    if (visited.has(n)) return;
-    visited.add(n);
-    for (const m of graph.get(n) || []) dfs(m);
-    out.push(n);
-  }
-  graph.forEach((_, n) => dfs(n));
-  return out.reverse();
+  return defaultRegistry.ordered(phase);
 }
 
 /** Execute all systems registered under a phase.
+ * Uses the world's own registry (`world.systems`), falling back to the {@link defaultRegistry}, also when
+ * the world's registry has no systems for the phase but the default one does (deprecated).
  * @param {string} phase
  * @param {import('./core.js').World} world
  * @param {number} dt
+ * @param {SystemRegistry} [registry] - Explicit registry to run instead of the world's.
  */
-export function runSystems(phase, world, dt) {
-  const list = getOrderedSystems(phase);
-  for (let i = 0; i < list.length; i++) {
-    try { list[i](world, dt); } catch (e) { console.warn(`[systems] error in phase "${phase}"`, e); }
+export function runSystems(phase, world, dt, registry) {
+  let reg = registry || world?.systems || defaultRegistry;
+  if (reg !== defaultRegistry && !_hasPhase(reg, phase) && _hasPhase(defaultRegistry, phase)) {
+    if (!_strandedWarned.has(phase)) {
+      _strandedWarned.add(phase);
+      console.warn(`[systems] deprecated: running phase "${phase}" from defaultRegistry because this world's registry has no systems for it; ` +
+        'register them on world.systems or create the world with { systems: defaultRegistry }');
+    }
+    reg = defaultRegistry;
   }
+  reg.run(phase, world, dt);
 }
 
 /** Utility: run multiple phases with no repetition boilerplate.
  * @param {string[]} phases
  * @param {import('./core.js').World} world
  * @param {number} dt
+ * @param {SystemRegistry} [registry]
  */
-export function runPhases(phases, world, dt) {
-  for (const ph of phases) runSystems(ph, world, dt);
+export function runPhases(phases, world, dt, registry) {
+  for (const ph of phases) runSystems(ph, world, dt, registry);
 }
 
 /** DRY helper: compose a scheduler from phases and/or custom functions.
+ * Phase steps run against the world's own registry unless a {@link SystemRegistry}
+ * is passed as the first step, in which case every phase step targets that registry.
  * Usage:
  *   world.setScheduler(composeScheduler('intents','resolve','effects','cleanup'));
+ *   world.setScheduler(composeScheduler(sharedRegistry, 'update', 'render'));
  *   world.setScheduler(composeScheduler('resolve', (w,dt)=>{ // custom
  *     // ...
  *   }))
- * @param {...(string|SystemFn)} steps - Phase names or custom functions.
+ * @param {...(SystemRegistry|string|SystemFn)} steps - Optional leading registry, then phase names or custom functions.
  * @returns {(world: import('./core.js').World, dt:number)=>void}
  */
 export function composeScheduler(...steps) {
+  const flat = steps.flat().filter(Boolean);
+  const registry = (flat[0] instanceof SystemRegistry) ? flat.shift() : null;
   // step ∈ string(phase) | function(world, dt)
-  const norm = steps.flat().filter(Boolean).map(s => {
-    if (typeof s === 'string') return (w, dt) => runSystems(s, w, dt);
+  const norm = flat.map(s => {
+    if (typeof s === 'string') return (w, dt) => runSystems(s, w, dt, registry);
     if (typeof s === 'function') return s;
     throw new Error('composeScheduler: steps must be phase names or functions');
   });
   return (world, dt) => { for (const f of norm) f(world, dt); };
 }
 
-/** Testing/hot-reload helper: clear all registered systems and explicit orders. */
+/** Testing/hot-reload helper: clear all systems and explicit orders in the {@link defaultRegistry}. */
 export function clearSystems() {
-  for (const k of Object.keys(_systems)) delete _systems[k];
-  for (const k of Object.keys(_explicitOrder)) delete _explicitOrder[k];
+  defaultRegistry.clear();
+  _strandedWarned.clear();
 }
+
+/* internals */
+const _strandedWarned = new Set(); // phases already reported by runSystems
+
+/** @private */
+const _hasPhase = (reg, phase) => (reg._systems[phase]?.length ?? 0) > 0;